@@ -8,220 +8,605 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { addonBuilder, getRouter } = require('stremio-addon-sdk');
 const express = require('express');
 const fetch = require('node-fetch');
+const FormData = require('form-data');
 const ptt = require('parse-torrent-title');
+const {
+    renderConfigurePage,
+    renderAddPage,
+    renderLibraryPage,
+    renderDuplicatesPage,
+    renderMatchesPage
+} = require('./lib/pages');
+const { normalizeInfoHash, searchTorznab } = require('./lib/indexer');
+const { PROVIDERS, createMetadataChain } = require('./lib/metadata');
+const { createEpisodeNumbering, fetchKitsuMapping, matchesKitsuAnime } = require('./lib/anime');
+const { parseTargets, notify } = require('./lib/notifier');
+const { WATCH_EVENTS, createWatcher } = require('./lib/watcher');
+const { createTranslator } = require('./lib/i18n');
+const { normalizeColor, renderPosterSvg, isPngAvailable, renderPosterPng } = require('./lib/posters');
+const { MAX_SUBTITLE_SIZE, isSubtitleFile, guessSubtitleLanguage, convertSubtitle } = require('./lib/subtitles');
+const {
+    parseTorrentName,
+    isVideoFile,
+    parseEpisodeInfo,
+    findEpisodeFiles,
+    getFileEpisodeInfo,
+    hasEpisodeFiles
+} = require('./lib/releases');
+const {
+    ENV_DEFAULTS,
+    CONFIG_FIELDS,
+    parseUserConfig,
+    decodeConfigSegment,
+    getUserId
+} = require('./lib/config');
+const { DATA_DIR, createStore, flushStores } = require('./lib/store');
+const {
+    TorboxError,
+    TorboxAuthError,
+    TorboxRateLimitError,
+    TorboxNotFoundError,
+    createTorboxError,
+    torboxRequest,
+    describeTorboxError
+} = require('./lib/torbox');
 
 const PORT = parseInt(process.env.PORT, 10) || 7003;
-const TORBOX_API_KEY = process.env.TORBOX_API_KEY;
-const TORBOX_API_URL = 'https://api.torbox.app/v1/api';
-const CINEMETA_URL = 'https://v3-cinemeta.strem.io';
-const ENABLE_CATALOG = process.env.ENABLE_CATALOG !== 'false'; // true par défaut
+// URL publique de l'addon (liens /play et posters donnés aux clients Stremio), sinon déduite de chaque requête
+const PUBLIC_URL = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, '');
 
-/** Cache des torrents pour le stream handler */
-const torrentsCache = new Map();
+/** Requête HTTP en cours ({ baseUrl }), pour construire les liens sans PUBLIC_URL */
+const requestContext = new AsyncLocalStorage();
 
-/** Cache des métadonnées Cinemeta (IMDB ID → meta) */
-const cinemetaCache = new Map();
+/**
+ * URL publique de l'addon : PUBLIC_URL, ou l'hôte et le protocole de la requête en cours
+ * (derrière un proxy, X-Forwarded-Proto). Hors requête (tâches de fond), l'adresse locale.
+ * @returns {string}
+ */
+function getPublicUrl() {
+    const current = requestContext.getStore();
+    return PUBLIC_URL || (current ? current.baseUrl : `http://127.0.0.1:${PORT}`);
+}
+
+// Posters générés par /poster : png seulement si @resvg/resvg-js est installé
+const POSTER_FORMAT = process.env.POSTER_FORMAT === 'png' && isPngAvailable() ? 'png' : 'svg';
+// Quota de stockage du plan (Go) pour la barre de la carte Cloud : sans quota, pas de pourcentage
+const STORAGE_LIMIT_GB = parseFloat(process.env.STORAGE_LIMIT_GB) || 0;
+/** Nombre de jours représentés par une barre d'abonnement pleine (abonnement mensuel) */
+const SUBSCRIPTION_BAR_DAYS = 30;
+
+// Notifications du compte TORBOX_API_KEY (téléchargement terminé/en erreur, expiration)
+const NOTIFY_TARGETS = parseTargets({
+    webhook: process.env.NOTIFY_WEBHOOK_URLS,
+    ntfy: process.env.NOTIFY_NTFY_URLS,
+    discord: process.env.NOTIFY_DISCORD_URLS
+});
+const NOTIFY_EVENTS = process.env.NOTIFY_EVENTS
+    ? process.env.NOTIFY_EVENTS.split(',').map(event => event.trim().toLowerCase()).filter(event => WATCH_EVENTS.includes(event))
+    : WATCH_EVENTS;
+const NOTIFY_EXPIRY_DAYS = parseInt(process.env.NOTIFY_EXPIRY_DAYS, 10) || 7;
+const WATCH_INTERVAL = (parseFloat(process.env.WATCH_INTERVAL) || 5) * 60 * 1000; // minutes → ms
+
+/** Utilisateurs connus (userId → { settings, torrentsCache }) */
+const userContexts = new Map();
+
+/** Liens de streaming déjà résolus (userId:torrentKey:fileId → { url, expiresAt }) */
+const streamLinksCache = new Map();
+const STREAM_LINK_TTL = 60 * 60 * 1000; // 1h, les liens Torbox restent valides plus longtemps
 
-/** Cache de recherche (titre → IMDB ID) */
-const searchCache = new Map();
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Index IMDB → releases et fichiers de la bibliothèque (userId → index, voir buildLibraryIndex) */
+const libraryIndexes = new Map();
+/** Reconstructions d'index en cours (userId → Promise) : une seule à la fois par compte */
+const libraryIndexBuilds = new Map();
+/** Nombre d'invalidations de l'index (userId → génération), pour écarter une reconstruction devenue périmée */
+const libraryIndexGenerations = new Map();
+
+/** Rafraîchissement de l'index en arrière-plan (minutes → ms, 0 = désactivé) */
+const LIBRARY_REFRESH_INTERVAL = Math.max(0, parseFloat(process.env.LIBRARY_REFRESH_INTERVAL || '5') || 0) * 60 * 1000;
+/** Âge au-delà duquel une requête de streams reconstruit l'index avant de répondre */
+const LIBRARY_INDEX_MAX_AGE = LIBRARY_REFRESH_INTERVAL ? 2 * LIBRARY_REFRESH_INTERVAL : 5 * 60 * 1000;
+/** Seuls les comptes vus récemment sont rafraîchis en arrière-plan */
+const LIBRARY_ACTIVE_USER_TTL = DAY;
+
+/** Cache persistant des fiches complètes (fournisseur:IMDB ID → meta) */
+const metadataCache = createStore('metadata', { defaultTtl: 7 * DAY });
+
+/** Cache persistant de recherche (fournisseur:titre → meilleur candidat avec son score, ou null si aucun résultat) */
+const searchCache = createStore('matches', { defaultTtl: 7 * DAY });
+const SEARCH_MISS_TTL = DAY; // Un titre introuvable est retenté le lendemain
+
+/** Mappings persistants torrent → IMDB (userId:torrentKey → imdbId) */
+const imdbMappings = createStore('imdb-mappings', { defaultTtl: 90 * DAY });
+
+/** Correspondances Kitsu → IMDB (kitsuId → { imdbId, type, episodes }, ou null si inconnu) */
+const kitsuMappings = createStore('kitsu-mappings', { defaultTtl: 7 * DAY });
+
+/** Corrections manuelles, sans expiration (userId:torrentKey → { imdbId, type } ou { ignore: true }) */
+const matchOverrides = createStore('match-overrides');
 
 /**
- * Récupère les infos du compte Torbox
- * @returns {Promise<Object>}
+ * Config des comptes acceptés par Torbox (userId → config brute de l'URL de l'addon)
+ * Les liens /play, /sub et /instant ne contiennent que le userId (plus une signature par la clé API pour /instant) :
+ * ils restent valides après un redémarrage.
  */
-async function getTorboxUserInfo() {
-    if (!TORBOX_API_KEY) {
-        throw new Error('TORBOX_API_KEY non configurée');
-    }
-
-    const response = await fetch(`${TORBOX_API_URL}/user/me`, {
-        headers: {
-            'Authorization': `Bearer ${TORBOX_API_KEY}`
-        }
-    });
+const userConfigs = createStore('user-configs', { defaultTtl: 90 * DAY });
 
-    if (!response.ok) {
-        throw new Error(`Erreur API Torbox: ${response.status}`);
+/**
+ * Construit le contexte d'un utilisateur à partir de la config de son URL
+ * Le cache des torrents est partagé entre les requêtes d'un même compte.
+ * @param {Object|false|undefined} rawConfig - Config décodée par le routeur Stremio
+ * @returns {Object} { id, apiKey, settings, torrentsCache, t } - t : traducteur de la langue choisie (lib/i18n)
+ */
+function getUserContext(rawConfig) {
+    const settings = parseUserConfig(rawConfig);
+    const id = getUserId(settings.apiKey);
+
+    let shared = userContexts.get(id);
+    if (!shared) {
+        shared = { torrentsCache: new Map() };
+        userContexts.set(id, shared);
     }
+    // Dernière config vue : sert aux routes appelées hors protocole Stremio (/play)
+    shared.settings = settings;
+    shared.rawConfig = settings.configured ? rawConfig : null;
+    shared.lastSeenAt = Date.now();
 
-    const data = await response.json();
-    return data.data;
+    return {
+        id,
+        apiKey: settings.apiKey,
+        settings,
+        torrentsCache: shared.torrentsCache,
+        t: createTranslator(settings.locale)
+    };
 }
 
 /**
- * Récupère la liste des torrents Torbox
- * @returns {Promise<Array>}
+ * Retrouve le contexte d'un utilisateur déjà vu à partir de son userId
+ * Les liens /play ne contiennent que ce hash, jamais la clé API.
+ * @param {string} userId
+ * @returns {Object|null} Contexte utilisateur, ou null si inconnu (ex: après un redémarrage)
  */
-async function getTorboxTorrents() {
-    if (!TORBOX_API_KEY) {
-        throw new Error('TORBOX_API_KEY non configurée');
+function getKnownUserContext(userId) {
+    const shared = userContexts.get(userId);
+    if (shared) {
+        return {
+            id: userId,
+            apiKey: shared.settings.apiKey,
+            settings: shared.settings,
+            torrentsCache: shared.torrentsCache,
+            t: createTranslator(shared.settings.locale)
+        };
     }
 
-    const response = await fetch(`${TORBOX_API_URL}/torrents/mylist?bypass_cache=true`, {
-        headers: {
-            'Authorization': `Bearer ${TORBOX_API_KEY}`
-        }
-    });
+    // La clé d'environnement est toujours connue
+    if (ENV_DEFAULTS.apiKey && getUserId(ENV_DEFAULTS.apiKey) === userId) {
+        return getUserContext(null);
+    }
 
-    if (!response.ok) {
-        throw new Error(`Erreur API Torbox: ${response.status}`);
+    // Compte vu avant un redémarrage
+    const rawConfig = userConfigs.get(userId);
+    if (rawConfig) {
+        return getUserContext(rawConfig);
     }
 
-    const data = await response.json();
-    const torrents = data.data || [];
+    return null;
+}
 
-    // Met en cache pour le stream handler
-    torrents.forEach(t => torrentsCache.set(String(t.id), t));
+/**
+ * Marque un compte comme accepté par Torbox (rafraîchi en arrière-plan) et enregistre sa config
+ * Réécrite seulement si elle a changé, ou une fois par jour pour repousser son expiration.
+ * @param {Object} user - Contexte utilisateur
+ */
+function rememberUserConfig(user) {
+    const shared = userContexts.get(user.id);
+    if (!shared) return;
+    shared.acceptedAt = Date.now();
+    if (!shared.rawConfig) return; // Clé d'environnement : toujours connue
+
+    const unchanged = JSON.stringify(userConfigs.get(user.id)) === JSON.stringify(shared.rawConfig);
+    if (unchanged && shared.configSavedAt > Date.now() - DAY) return;
 
-    return torrents;
+    userConfigs.set(user.id, shared.rawConfig);
+    shared.configSavedAt = Date.now();
 }
 
 /**
- * Parse le nom d'un torrent pour extraire les infos
- * @param {string} name - Nom du torrent
- * @returns {Object} { title, year, season, episode, type }
+ * Associe un torrent à un IMDB ID (en mémoire et dans le store persistant)
+ * Sans effet sur un élément corrigé à la main : la correction prime sur la recherche.
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @param {string} imdbId
  */
-function parseTorrentName(name) {
-    const parsed = ptt.parse(name);
-
-    // Détermine le type
-    const type = (parsed.season || parsed.episode) ? 'series' : 'movie';
+function setImdbMapping(user, torrent, imdbId) {
+    if (torrent._matchOverride) return;
+    torrent._imdbId = imdbId;
+    imdbMappings.set(`${user.id}:${torrent._key}`, imdbId);
+}
 
-    return {
-        title: parsed.title || name,
-        year: parsed.year || null,
-        season: parsed.season || null,
-        episode: parsed.episode || null,
-        quality: parsed.resolution || parsed.quality || null,
-        type
-    };
+/**
+ * Récupère les infos du compte Torbox
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>}
+ */
+async function getTorboxUserInfo(user) {
+    return torboxRequest(user.apiKey, '/user/me');
 }
 
 /**
- * Recherche un contenu sur Cinemeta par titre
- * @param {string} title - Titre à rechercher
- * @param {string} type - Type (movie ou series)
- * @param {number} [year] - Année (optionnel)
- * @returns {Promise<Object|null>} Métadonnées ou null
+ * Sources de téléchargement Torbox
+ * La clé de cache (`_key`) d'un élément = préfixe + id, pour éviter les collisions
+ * entre un torrent et un download Usenet qui auraient le même id.
  */
-async function searchCinemeta(title, type, year = null) {
-    const cacheKey = `${type}:${title}:${year || ''}`;
+const DOWNLOAD_SOURCES = {
+    torrent: { path: 'torrents', idParam: 'torrent_id', prefix: '', label: '⚡ TORBOX CLOUD' },
+    usenet: { path: 'usenet', idParam: 'usenet_id', prefix: 'u', label: '📰 TORBOX USENET' },
+    webdl: { path: 'webdl', idParam: 'web_id', prefix: 'w', label: '🌐 TORBOX WEB' }
+};
 
-    if (searchCache.has(cacheKey)) {
-        return searchCache.get(cacheKey);
-    }
+/**
+ * Récupère la liste des téléchargements d'une source Torbox
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} source - Clé de DOWNLOAD_SOURCES
+ * @returns {Promise<Array>}
+ */
+async function getTorboxDownloads(user, source) {
+    const { path } = DOWNLOAD_SOURCES[source];
+    const data = await torboxRequest(user.apiKey, `/${path}/mylist`, {
+        query: { bypass_cache: true }
+    });
+    const downloads = data || [];
+    rememberUserConfig(user);
 
-    try {
-        // Nettoie le titre pour la recherche
-        const cleanTitle = title
-            .replace(/[^\w\s]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
+    // Met en cache pour le stream handler
+    downloads.forEach(t => cacheLibraryItem(user, source, t));
 
-        const searchUrl = `${CINEMETA_URL}/catalog/${type}/top/search=${encodeURIComponent(cleanTitle)}.json`;
-        console.log(`[Cinemeta] Recherche: ${cleanTitle} (${type})`);
+    return downloads;
+}
 
-        const response = await fetch(searchUrl, { timeout: 5000 });
+/**
+ * Met un élément de la bibliothèque en cache (en gardant les mappings IMDB déjà trouvés)
+ * Une correction manuelle remplace le mapping : `_imdbId` vaut son IMDB ID, ou null si l'élément est ignoré.
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} source - Clé de DOWNLOAD_SOURCES
+ * @param {Object} t - Élément renvoyé par Torbox
+ * @returns {Object} L'élément, complété de `_source`, `_key` et `_matchOverride`
+ */
+function cacheLibraryItem(user, source, t) {
+    t._source = source;
+    t._key = `${DOWNLOAD_SOURCES[source].prefix}${t.id}`;
+    t._matchOverride = matchOverrides.get(`${user.id}:${t._key}`) || null;
+
+    const previous = user.torrentsCache.get(t._key);
+    if (t._matchOverride) {
+        t._imdbId = t._matchOverride.imdbId || null;
+    } else if (previous && previous._imdbId) {
+        t._imdbId = previous._imdbId;
+        t._parsed = previous._parsed;
+    } else {
+        t._imdbId = imdbMappings.get(`${user.id}:${t._key}`);
+    }
+    user.torrentsCache.set(t._key, t);
 
-        if (!response.ok) {
-            console.log(`[Cinemeta] Erreur HTTP: ${response.status}`);
-            return null;
-        }
+    return t;
+}
 
-        const data = await response.json();
+/**
+ * Récupère la liste des torrents Torbox
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Array>}
+ */
+async function getTorboxTorrents(user) {
+    return getTorboxDownloads(user, 'torrent');
+}
 
-        if (!data.metas || data.metas.length === 0) {
-            console.log(`[Cinemeta] Aucun résultat pour "${cleanTitle}"`);
-            searchCache.set(cacheKey, null);
-            return null;
-        }
+/**
+ * Récupère la liste des downloads Usenet Torbox
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Array>}
+ */
+async function getTorboxUsenetDownloads(user) {
+    return getTorboxDownloads(user, 'usenet');
+}
 
-        // Trouve le meilleur match (par année si disponible)
-        let bestMatch = data.metas[0];
+/**
+ * Récupère la liste des web downloads Torbox (liens hébergeurs)
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Array>}
+ */
+async function getTorboxWebDownloads(user) {
+    return getTorboxDownloads(user, 'webdl');
+}
 
-        if (year) {
-            const yearMatch = data.metas.find(m => {
-                const metaYear = m.year || (m.releaseInfo && parseInt(m.releaseInfo));
-                return metaYear === year;
-            });
-            if (yearMatch) bestMatch = yearMatch;
+/**
+ * Récupère toute la bibliothèque Torbox (torrents + Usenet + web downloads)
+ * Une erreur côté Usenet ou Web (plan sans accès, API indisponible) ne bloque pas les torrents.
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Array>}
+ */
+async function getTorboxLibrary(user) {
+    const [torrents, usenet, web] = await Promise.all([
+        getTorboxTorrents(user),
+        getTorboxUsenetDownloads(user).catch(error => {
+            console.error('[TorboxUsenet] Erreur:', error.message);
+            return [];
+        }),
+        getTorboxWebDownloads(user).catch(error => {
+            console.error('[TorboxWeb] Erreur:', error.message);
+            return [];
+        })
+    ]);
+
+    return [...torrents, ...usenet, ...web];
+}
+
+/**
+ * Liste des vidéos d'une fiche `tb:` : un épisode par fichier (séries) ou un fichier par vidéo (films)
+ * L'ID de chaque vidéo (`tb:<clé>:<fileId>`) est résolu par le stream handler.
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @param {string} type - 'movie' ou 'series'
+ * @returns {Array} Vidéos triées (saison 0 : fichiers sans numéro d'épisode)
+ */
+function buildTorrentVideos(user, torrent, type) {
+    const releaseInfo = parseEpisodeInfo(torrent.name || '');
+    const released = (parseDate(torrent.created_at) || new Date(0)).toISOString();
+    const files = (torrent.files || []).filter(file =>
+        isVideoFile(file.name) && acceptsStreamFile(user.settings, parseFileReleaseInfo(torrent, file), file.size)
+    );
+
+    let extras = 0; // Numérotation des fichiers sans épisode (saison 0)
+    const videos = files.map(file => {
+        const fileName = file.name.split('/').pop();
+        const video = {
+            id: `tb:${torrent._key}:${file.id}`,
+            title: fileName,
+            released
+        };
+
+        if (type === 'series') {
+            const info = getFileEpisodeInfo(file, releaseInfo);
+            if (info.episodes.length > 0) {
+                video.season = info.seasons[0] || 1;
+                video.episode = info.episodes[0];
+                // Fichier multi-épisodes : rangé au premier, la plage est indiquée dans le titre
+                if (info.episodes.length > 1) {
+                    video.title = `E${info.episodes[0]}-E${info.episodes[info.episodes.length - 1]} • ${fileName}`;
+                }
+            } else {
+                video.season = 0;
+                video.episode = ++extras;
+            }
         }
 
-        console.log(`[Cinemeta] Trouvé: ${bestMatch.name} (${bestMatch.id})`);
+        return video;
+    });
 
-        // Met en cache
-        searchCache.set(cacheKey, bestMatch);
-        cinemetaCache.set(bestMatch.id, bestMatch);
+    return videos.sort((a, b) =>
+        (a.season || 0) - (b.season || 0) || (a.episode || 0) - (b.episode || 0) || a.title.localeCompare(b.title)
+    );
+}
 
-        return bestMatch;
+/** Chaînes de fournisseurs de métadonnées déjà construites (une par configuration) */
+const metadataChains = new Map();
 
-    } catch (error) {
-        console.error(`[Cinemeta] Erreur recherche:`, error.message);
-        return null;
+/**
+ * Chaîne de fournisseurs de métadonnées d'un utilisateur (ordre et clé TMDB de sa config)
+ * Les fournisseurs inconnus, ou TMDB sans clé, sont ignorés ; Cinemeta sert de dernier recours.
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Object} Chaîne (lib/metadata createMetadataChain)
+ */
+function getMetadataChain(user) {
+    const { metadataProviders, tmdbApiKey } = user.settings;
+    const names = metadataProviders.filter(name => PROVIDERS[name] && (name !== 'tmdb' || tmdbApiKey));
+    if (names.length === 0) names.push('cinemeta');
+
+    const language = user.t.intl;
+    const chainKey = `${names.join(',')}|${tmdbApiKey}|${language}`;
+
+    if (!metadataChains.has(chainKey)) {
+        const providers = names.map(name => PROVIDERS[name]({ apiKey: tmdbApiKey, language }));
+        metadataChains.set(chainKey, createMetadataChain(providers, {
+            searchCache,
+            metaCache: metadataCache,
+            missTtl: SEARCH_MISS_TTL
+        }));
     }
+    return metadataChains.get(chainKey);
+}
+
+/**
+ * Recherche un contenu par titre chez les fournisseurs de métadonnées de l'utilisateur
+ * Un candidat sous le score minimal de sa config n'est pas retenu : la release garde sa fiche `tb:`.
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} title - Titre à rechercher
+ * @param {string} type - Type (movie ou series)
+ * @param {number} [year] - Année (optionnel)
+ * @returns {Promise<Object|null>} Métadonnées (avec l'IMDB ID dans `id` et le `score`) ou null
+ */
+function searchMetadata(user, title, type, year = null) {
+    return getMetadataChain(user).search(title, type, year, user.settings.matchThreshold / 100);
 }
 
 /**
- * Récupère les métadonnées complètes depuis Cinemeta
+ * Récupère les métadonnées complètes d'un IMDB ID
+ * @param {Object} user - Contexte utilisateur
  * @param {string} type - Type (movie ou series)
  * @param {string} imdbId - IMDB ID
  * @returns {Promise<Object|null>}
  */
-async function getCinemetaMeta(type, imdbId) {
-    if (cinemetaCache.has(imdbId)) {
-        return cinemetaCache.get(imdbId);
+function getMetadata(user, type, imdbId) {
+    return getMetadataChain(user).getMeta(type, imdbId);
+}
+
+/**
+ * Récupère le lien de streaming pour un torrent (ou un download Usenet/Web)
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} torrent - Élément de la bibliothèque (porte sa source dans `_source`)
+ * @param {number} [fileId] - ID du fichier (optionnel)
+ * @returns {Promise<string>}
+ */
+async function getTorboxStreamLink(user, torrent, fileId = null) {
+    const { path, idParam } = DOWNLOAD_SOURCES[torrent._source || 'torrent'];
+
+    // requestdl attend aussi la clé en paramètre `token` : le lien obtenu reste côté serveur (/play)
+    return torboxRequest(user.apiKey, `/${path}/requestdl`, {
+        query: {
+            token: user.apiKey,
+            [idParam]: torrent.id,
+            file_id: fileId
+        }
+    });
+}
+
+/**
+ * Ajoute un torrent à Torbox (magnet ou fichier .torrent)
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} source
+ * @param {string} [source.magnet] - Lien magnet
+ * @param {Buffer} [source.torrentFile] - Contenu du fichier .torrent
+ * @param {string} [source.fileName] - Nom du fichier .torrent
+ * @param {string} [source.name] - Nom à donner au torrent
+ * @returns {Promise<Object>} { torrent_id | queued_id, hash, name }
+ */
+async function createTorboxTorrent(user, { magnet, torrentFile, fileName, name }) {
+    const form = new FormData();
+
+    if (torrentFile) {
+        form.append('file', torrentFile, {
+            filename: fileName || 'upload.torrent',
+            contentType: 'application/x-bittorrent'
+        });
+    } else {
+        form.append('magnet', magnet);
     }
+    if (name) form.append('name', name);
+
+    // Pas de nouvelle tentative : le corps multipart ne peut pas être renvoyé
+    const result = await torboxRequest(user.apiKey, '/torrents/createtorrent', {
+        method: 'POST',
+        body: form,
+        headers: form.getHeaders(),
+        retries: 0
+    });
 
-    try {
-        const url = `${CINEMETA_URL}/meta/${type}/${imdbId}.json`;
-        const response = await fetch(url, { timeout: 5000 });
+    invalidateLibraryIndex(user);
+    return result;
+}
 
-        if (!response.ok) return null;
+/**
+ * Envoie une action sur un torrent de la bibliothèque (delete, reannounce, pause, resume)
+ * @param {Object} user - Contexte utilisateur
+ * @param {number|string} torrentId
+ * @param {string} operation
+ * @returns {Promise<*>}
+ */
+async function controlTorboxTorrent(user, torrentId, operation) {
+    // Pas de nouvelle tentative : une action appliquée malgré un timeout (une suppression surtout)
+    // reviendrait en erreur au second essai
+    return torboxRequest(user.apiKey, '/torrents/controltorrent', {
+        method: 'POST',
+        body: JSON.stringify({ torrent_id: Number(torrentId), operation }),
+        headers: { 'Content-Type': 'application/json' },
+        retries: 0
+    });
+}
 
-        const data = await response.json();
-        if (data.meta) {
-            cinemetaCache.set(imdbId, data.meta);
-            return data.meta;
-        }
+/**
+ * Enregistre ou retire la correction manuelle d'un élément
+ * Retirer une correction oublie aussi le mapping trouvé par recherche : l'élément est réanalysé.
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} item - Élément de la bibliothèque
+ * @param {Object|null} override - { imdbId, type }, { ignore: true } ou null pour retirer la correction
+ */
+function setMatchOverride(user, item, override) {
+    const storeKey = `${user.id}:${item._key}`;
 
-        return null;
-    } catch (error) {
-        console.error(`[Cinemeta] Erreur meta:`, error.message);
-        return null;
+    if (override) {
+        matchOverrides.set(storeKey, { ...override, updatedAt: new Date().toISOString() });
+    } else {
+        matchOverrides.delete(storeKey);
     }
+    imdbMappings.delete(storeKey);
+
+    item._matchOverride = matchOverrides.get(storeKey) || null;
+    item._imdbId = item._matchOverride ? item._matchOverride.imdbId || null : undefined;
+    invalidateLibraryIndex(user);
 }
 
 /**
- * Récupère le lien de streaming pour un torrent
- * @param {number} torrentId - ID du torrent
- * @param {number} [fileId] - ID du fichier (optionnel)
- * @returns {Promise<string>}
+ * Oublie un élément supprimé de la bibliothèque : cache des torrents, liens résolus et mapping IMDB
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} key - Clé de l'élément (`_key`)
  */
-async function getTorboxStreamLink(torrentId, fileId = null) {
-    if (!TORBOX_API_KEY) {
-        throw new Error('TORBOX_API_KEY non configurée');
+function forgetLibraryItem(user, key) {
+    const item = user.torrentsCache.get(key);
+    user.torrentsCache.delete(key);
+    imdbMappings.delete(`${user.id}:${key}`);
+    matchOverrides.delete(`${user.id}:${key}`);
+
+    // Liens /play du torrent, et /instant s'il avait été ajouté depuis un stream Torbox Instant
+    const linkPrefixes = [`${user.id}:${key}:`];
+    if (item && item.hash) linkPrefixes.push(`${user.id}:instant:${item.hash.toLowerCase()}:`);
+
+    for (const cacheKey of streamLinksCache.keys()) {
+        if (linkPrefixes.some(prefix => cacheKey.startsWith(prefix))) streamLinksCache.delete(cacheKey);
     }
+}
 
-    let url = `${TORBOX_API_URL}/torrents/requestdl?token=${TORBOX_API_KEY}&torrent_id=${torrentId}`;
-    if (fileId) {
-        url += `&file_id=${fileId}`;
-    }
+/**
+ * Vérifie quels hashes sont déjà en cache chez Torbox
+ * @param {Object} user - Contexte utilisateur
+ * @param {string[]} hashes
+ * @returns {Promise<Array>} Torrents en cache : [{ hash, name, size, files }]
+ */
+async function checkTorboxCached(user, hashes) {
+    if (hashes.length === 0) return [];
 
-    const response = await fetch(url, {
-        headers: {
-            'Authorization': `Bearer ${TORBOX_API_KEY}`
-        }
+    const data = await torboxRequest(user.apiKey, '/torrents/checkcached', {
+        query: { hash: hashes.join(','), format: 'list', list_files: true }
     });
 
-    if (!response.ok) {
-        throw new Error(`Erreur API Torbox: ${response.status}`);
+    return Array.isArray(data) ? data : Object.values(data || {});
+}
+
+/**
+ * Ajoute un torrent en cache Torbox à la bibliothèque et attend que ses fichiers soient listés
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} hash - Infohash
+ * @returns {Promise<Object>} Torrent de la bibliothèque
+ */
+async function addCachedTorrent(user, hash) {
+    // Déjà dans la bibliothèque (ajouté par un clic précédent) ?
+    const existing = (await getTorboxTorrents(user)).find(t => (t.hash || '').toLowerCase() === hash);
+    if (existing && existing.files && existing.files.length > 0) {
+        return existing;
+    }
+
+    const created = await createTorboxTorrent(user, { magnet: `magnet:?xt=urn:btih:${hash}` });
+    const torrentId = created && created.torrent_id;
+    if (!torrentId) {
+        throw createTorboxError(TorboxError, 'torbox.queued');
+    }
+
+    // Un torrent en cache est prêt presque tout de suite, mais la liste des fichiers peut tarder
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const torrent = await torboxRequest(user.apiKey, '/torrents/mylist', {
+            query: { id: torrentId, bypass_cache: true }
+        });
+        if (torrent && torrent.files && torrent.files.length > 0) {
+            return cacheLibraryItem(user, 'torrent', torrent);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
     }
 
-    const data = await response.json();
-    return data.data;
+    throw createTorboxError(TorboxNotFoundError, 'torbox.filesPending');
 }
 
 /**
@@ -263,13 +648,14 @@ function parseDate(dateValue) {
 /**
  * Formate une date en date lisible
  * @param {number|string} dateValue
+ * @param {Function} [t] - Traducteur (lib/i18n), français par défaut
  * @returns {string}
  */
-function formatDate(dateValue) {
+function formatDate(dateValue, t = createTranslator()) {
     const date = parseDate(dateValue);
-    if (!date || isNaN(date.getTime())) return 'N/A';
+    if (!date || isNaN(date.getTime())) return t('common.unknown');
 
-    return date.toLocaleDateString('fr-FR', {
+    return date.toLocaleDateString(t.intl, {
         day: 'numeric',
         month: 'long',
         year: 'numeric'
@@ -292,16 +678,53 @@ function daysRemaining(dateValue) {
 }
 
 /**
- * Génère une URL de poster avec du texte
+ * Génère l'URL d'un poster rendu par la route /poster
  * @param {string} emoji
  * @param {string} value
  * @param {string} bgColor
+ * @param {Object} [options]
+ * @param {number} [options.progress] - Barre de progression (0..1)
+ * @param {boolean} [options.inverted] - Barre pleine = mauvais signe (stockage)
+ * @param {string[]} [options.details] - Lignes de détails sous la valeur
+ * @param {string} [options.layout] - 'poster' (défaut) ou 'background'
  * @returns {string}
  */
-function generatePoster(emoji, value, bgColor = '1a1a2e') {
-    // Utilise placeholder.com pour générer une image simple
-    const text = encodeURIComponent(`${emoji}\n${value}`);
-    return `https://placehold.co/300x450/${bgColor}/ffffff?text=${text}&font=roboto`;
+function generatePoster(emoji, value, bgColor = '1a1a2e', options = {}) {
+    const params = new URLSearchParams({ emoji, value, color: bgColor });
+
+    if (typeof options.progress === 'number') params.set('progress', options.progress.toFixed(3));
+    if (options.inverted) params.set('inverted', '1');
+    (options.details || []).filter(Boolean).forEach(line => params.append('details', line));
+    if (options.layout && options.layout !== 'poster') params.set('layout', options.layout);
+
+    return `${getPublicUrl()}/poster.${POSTER_FORMAT}?${params.toString()}`;
+}
+
+/**
+ * Espace occupé sur Torbox : somme des tailles des téléchargements de la bibliothèque
+ * (total_bytes_downloaded de /user/me est un cumul depuis la création du compte)
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<number>} Octets
+ */
+async function getLibraryUsedBytes(user) {
+    const library = await getTorboxLibrary(user);
+    return library.reduce((total, item) => total + (item.size || 0), 0);
+}
+
+/**
+ * Barre de stockage de la carte Cloud : espace utilisé sur le quota STORAGE_LIMIT_GB
+ * @param {number} usedBytes - Voir getLibraryUsedBytes
+ * @returns {Object} Options de generatePoster (sans barre si aucun quota n'est configuré)
+ */
+function getStoragePosterOptions(usedBytes) {
+    if (!STORAGE_LIMIT_GB) return {};
+
+    const limit = STORAGE_LIMIT_GB * 1024 * 1024 * 1024;
+    return {
+        progress: usedBytes / limit,
+        inverted: true,
+        details: [`/ ${formatBytes(limit)}`]
+    };
 }
 
 /**
@@ -335,179 +758,1058 @@ function extractQuality(name) {
 }
 
 /**
- * Formate la date relative (il y a X jours)
- * @param {string|number} dateValue
- * @returns {string}
+ * Cherche un mot-clé isolé dans un nom de release (séparé par . _ - espace ou crochets)
+ * @param {string} name
+ * @param {string} pattern - Regex source, sans délimiteurs
+ * @returns {boolean}
  */
-function formatRelativeDate(dateValue) {
-    const date = parseDate(dateValue);
-    if (!date || isNaN(date.getTime())) return '';
+function hasReleaseTag(name, pattern) {
+    return new RegExp(`(?:^|[\\s._\\-\\[\\(])(?:${pattern})(?=$|[\\s._\\-\\]\\)])`, 'i').test(name);
+}
 
-    const now = Date.now();
-    const diff = now - date.getTime();
-    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-    const hours = Math.floor(diff / (1000 * 60 * 60));
+/** Sources de release (valeur parse-torrent-title → libellé) */
+const RELEASE_SOURCES = {
+    bluray: 'BluRay',
+    'web-dl': 'WEB-DL',
+    webrip: 'WEBRip',
+    hdtv: 'HDTV',
+    dvdrip: 'DVDRip',
+    brrip: 'BRRip',
+    bdrip: 'BDRip',
+    hdrip: 'HDRip',
+    telesync: 'TS',
+    cam: 'CAM'
+};
+
+/** Codecs vidéo (valeur parse-torrent-title → libellé) */
+const RELEASE_CODECS = {
+    x265: 'HEVC',
+    h265: 'HEVC',
+    hevc: 'HEVC',
+    x264: 'H264',
+    h264: 'H264',
+    avc: 'H264',
+    xvid: 'XviD',
+    divx: 'DivX'
+};
+
+/** Pistes audio reconnues, de la plus riche à la plus simple */
+const RELEASE_AUDIO = [
+    { label: 'Atmos', pattern: 'atmos' },
+    { label: 'TrueHD', pattern: 'true-?hd' },
+    { label: 'DTS-HD MA', pattern: 'dts-?hd[.\\s_-]?ma' },
+    { label: 'DTS:X', pattern: 'dts-?x' },
+    { label: 'DTS-HD', pattern: 'dts-?hd(?![.\\s_-]?ma)' },
+    { label: 'DTS', pattern: 'dts(?!-?(?:hd|x))' },
+    { label: 'DD+', pattern: 'ddp(?:[257]\\.?[01])?|dd\\+|e-?ac-?3' },
+    { label: 'DD', pattern: 'dd(?:[257]\\.?[01])|ac-?3' },
+    { label: 'AAC', pattern: 'aac(?:[257]\\.?[01])?' },
+    { label: 'FLAC', pattern: 'flac' },
+    { label: 'Opus', pattern: 'opus' }
+];
+
+/** Langues et versions reconnues (libellé → regex) */
+const RELEASE_LANGUAGES = [
+    { label: 'MULTI', pattern: 'multi(?:-?vf[fqi2]?)?' },
+    { label: 'VFF', pattern: 'vff|truefrench' },
+    { label: 'VFQ', pattern: 'vfq' },
+    { label: 'VFI', pattern: 'vfi' },
+    { label: 'VF2', pattern: 'vf2' },
+    { label: 'FRENCH', pattern: 'french|vf' },
+    { label: 'VOSTFR', pattern: 'vostfr|subfrench' },
+    { label: 'ENG', pattern: 'eng|english' },
+    { label: 'ITA', pattern: 'ita|italian' },
+    { label: 'GER', pattern: 'ger|german' },
+    { label: 'SPA', pattern: 'spa|spanish|esp' },
+    { label: 'JAP', pattern: 'jap|japanese' }
+];
+
+/**
+ * Analyse complète d'un nom de release : parse-torrent-title complété pour ce qu'il ignore
+ * (HDR/DV, Atmos, plusieurs langues, HDLight, AV1...)
+ * @param {string} name - Nom de fichier ou de torrent
+ * @returns {Object} { resolution, source, remux, codec, bitDepth, hdr[], audio[], channels, languages[] }
+ */
+function parseReleaseInfo(name) {
+    const parsed = ptt.parse(name || '');
+    const text = name || '';
+
+    let resolution = parsed.resolution || null;
+    if (!resolution && hasReleaseTag(text, '4k|uhd')) resolution = '2160p';
+    if (resolution === '4k') resolution = '2160p';
+
+    let source = RELEASE_SOURCES[parsed.source] || null;
+    if (!source && hasReleaseTag(text, 'hdlight|mhd')) source = 'HDLight';
+    if (!source && hasReleaseTag(text, 'web')) source = 'WEB';
+
+    let codec = RELEASE_CODECS[parsed.codec] || (parsed.codec ? parsed.codec.toUpperCase() : null);
+    if (!codec && hasReleaseTag(text, 'av1')) codec = 'AV1';
+
+    const hdr = [];
+    if (hasReleaseTag(text, 'hdr10\\+|hdr10plus')) hdr.push('HDR10+');
+    else if (hasReleaseTag(text, 'hdr(?:10)?')) hdr.push('HDR');
+    if (hasReleaseTag(text, 'dv|dovi|dolby[.\\s_-]?vision')) hdr.push('DV');
+
+    const audio = RELEASE_AUDIO
+        .filter(({ pattern }) => hasReleaseTag(text, pattern))
+        .map(({ label }) => label);
+
+    const languages = RELEASE_LANGUAGES
+        .filter(({ pattern }) => hasReleaseTag(text, pattern))
+        .map(({ label }) => label);
+    // "VFF" implique le français : inutile d'afficher aussi FRENCH
+    if (languages.some(l => l.startsWith('VF')) && languages.includes('FRENCH')) {
+        languages.splice(languages.indexOf('FRENCH'), 1);
+    }
 
-    if (hours < 1) return 'À l\'instant';
-    if (hours < 24) return `Il y a ${hours}h`;
-    if (days === 1) return 'Hier';
-    if (days < 7) return `Il y a ${days} jours`;
-    if (days < 30) return `Il y a ${Math.floor(days / 7)} sem.`;
-    return formatDate(dateValue);
+    return {
+        resolution,
+        source,
+        remux: Boolean(parsed.remux) || hasReleaseTag(text, 'remux'),
+        codec,
+        bitDepth: parsed.bitdepth || (hasReleaseTag(text, '10-?bits?') ? 10 : null),
+        hdr,
+        audio,
+        channels: parsed.channels || null,
+        languages
+    };
 }
 
 /**
- * Handler pour le catalogue Films ou Séries
- * @param {string} catalogType - 'movie' ou 'series'
- * @returns {Promise<Object>}
+ * Analyse d'un fichier d'une release : les infos absentes du nom de fichier (langues, source...)
+ * sont souvent dans le nom du torrent. Même analyse pour les streams et les vidéos des fiches `tb:`.
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @param {Object} file - Fichier ({ name })
+ * @returns {Object} Voir parseReleaseInfo
  */
-async function handleMediaCatalog(catalogType) {
-    console.log(`[TorboxMedia] Récupération des ${catalogType === 'movie' ? 'films' : 'séries'}...`);
+function parseFileReleaseInfo(torrent, file) {
+    return parseReleaseInfo(`${torrent.name || ''} ${file.name.split('/').pop()}`);
+}
 
-    try {
-        const torrents = await getTorboxTorrents();
+/**
+ * Caractéristiques vidéo d'une release (résolution, source, codec, HDR...)
+ * @param {Object} info - Résultat de parseReleaseInfo
+ * @returns {string[]}
+ */
+function getVideoTags(info) {
+    return [
+        info.resolution,
+        [info.source, info.remux ? 'REMUX' : null].filter(Boolean).join(' '),
+        info.codec,
+        info.bitDepth ? `${info.bitDepth}bit` : null,
+        ...info.hdr
+    ].filter(Boolean);
+}
 
-        // Trie par date de mise à jour (plus récent en premier)
-        const sorted = torrents.sort((a, b) => {
-            const dateA = parseDate(a.updated_at) || parseDate(a.created_at) || new Date(0);
-            const dateB = parseDate(b.updated_at) || parseDate(b.created_at) || new Date(0);
-            return dateB.getTime() - dateA.getTime();
-        });
+/**
+ * Titre détaillé d'un stream : nom du fichier, vidéo, audio/langues et taille
+ * @param {string} fileName - Nom du fichier (ou de la release)
+ * @param {number} [size] - Taille en octets
+ * @param {Object} [info] - Résultat de parseReleaseInfo (calculé si absent)
+ * @returns {string}
+ */
+function formatStreamTitle(fileName, size, info = parseReleaseInfo(fileName)) {
+    const video = getVideoTags(info);
+    const sound = [...info.audio, info.channels].filter(Boolean);
+
+    const lines = [fileName.split('/').pop()];
+    if (video.length > 0) lines.push(`📺 ${video.join(' • ')}`);
+    if (sound.length > 0 || info.languages.length > 0) {
+        lines.push([
+            sound.length > 0 ? `🔊 ${sound.join(' ')}` : null,
+            info.languages.length > 0 ? `🌐 ${info.languages.join(' ')}` : null
+        ].filter(Boolean).join('  '));
+    }
+    if (size) lines.push(`💾 ${formatBytes(size)}`);
 
-        console.log(`[TorboxMedia] ═══════════════════════════════════════`);
-        console.log(`[TorboxMedia] ${torrents.length} torrents trouvés`);
+    return lines.join('\n');
+}
 
-        const metas = [];
-        const seenImdb = new Set(); // Évite les doublons
+/**
+ * behaviorHints Stremio d'un stream : même groupe de binge pour des releases équivalentes
+ * (l'épisode suivant est lancé dans la même qualité), nom et taille du fichier pour les sous-titres
+ * @param {string} fileName
+ * @param {number} [size]
+ * @param {Object} [info] - Résultat de parseReleaseInfo (calculé si absent)
+ * @returns {Object}
+ */
+function buildStreamHints(fileName, size, info = parseReleaseInfo(fileName)) {
+    const hints = {
+        bingeGroup: ['torbox', info.resolution, info.source, info.remux ? 'remux' : null, info.codec, ...info.hdr]
+            .filter(Boolean)
+            .join('|'),
+        filename: fileName.split('/').pop()
+    };
+    if (size) hints.videoSize = size;
 
-        for (const torrent of sorted) {
-            if (metas.length >= 20) break; // Limite à 20
+    return hints;
+}
 
-            const name = torrent.name || 'Sans nom';
-            const parsed = parseTorrentName(name);
+/**
+ * Indique si un fichier passe les filtres de l'utilisateur (taille minimale, codecs exclus)
+ * @param {Object} settings - Config de l'utilisateur
+ * @param {Object} info - Résultat de parseReleaseInfo
+ * @param {number} [size] - Taille en octets (inconnue = acceptée)
+ * @returns {boolean}
+ */
+function acceptsStreamFile(settings, info, size) {
+    if (size && size < settings.minFileSize * 1024 * 1024) {
+        return false;
+    }
 
-            // Filtre par type
-            if (parsed.type !== catalogType) continue;
+    // "x265" ou "HEVC" désignent le même codec
+    const formats = [info.codec, ...info.hdr].filter(Boolean).map(format => format.toUpperCase());
+    return !settings.excludedCodecs.some(codec =>
+        formats.includes((RELEASE_CODECS[codec.toLowerCase()] || codec).toUpperCase())
+    );
+}
 
-            console.log(`[TorboxMedia] Parsing: ${parsed.title} (${parsed.year || '?'}) - ${parsed.type}`);
+/**
+ * Rang d'une résolution dans l'ordre choisi (les résolutions non listées passent après)
+ * @param {Object} settings
+ * @param {string|null} resolution
+ * @returns {number}
+ */
+function resolutionRank(settings, resolution) {
+    const order = settings.qualityOrder.map(quality => (quality === '4K' ? '2160P' : quality));
+    const index = resolution ? order.indexOf(resolution.toUpperCase()) : -1;
+    return index === -1 ? order.length : index;
+}
 
-            // Recherche sur Cinemeta
-            const cinemetaResult = await searchCinemeta(parsed.title, parsed.type, parsed.year);
+/**
+ * Rang de la meilleure langue préférée présente dans la release
+ * @param {Object} settings
+ * @param {string[]} languages
+ * @returns {number}
+ */
+function languageRank(settings, languages) {
+    const ranks = languages
+        .map(language => settings.preferredLanguages.indexOf(language))
+        .filter(index => index !== -1);
+    return ranks.length > 0 ? Math.min(...ranks) : settings.preferredLanguages.length;
+}
 
-            if (cinemetaResult && !seenImdb.has(cinemetaResult.id)) {
-                seenImdb.add(cinemetaResult.id);
+/** Comparateurs des ordres de tri (sur le champ `_sort` des streams) */
+const STREAM_SORTS = {
+    quality: settings => (a, b) =>
+        resolutionRank(settings, a.info.resolution) - resolutionRank(settings, b.info.resolution) || b.size - a.size,
+    size: () => (a, b) => b.size - a.size,
+    date: settings => (a, b) =>
+        b.addedAt - a.addedAt || resolutionRank(settings, a.info.resolution) - resolutionRank(settings, b.info.resolution)
+};
 
-                // Stocke le mapping torrent → IMDB pour le stream handler
-                if (!torrent._imdbId) {
-                    torrent._imdbId = cinemetaResult.id;
-                    torrent._parsed = parsed;
-                    torrentsCache.set(String(torrent.id), torrent);
-                }
+/**
+ * Trie les streams selon les préférences (langues préférées d'abord, puis l'ordre choisi),
+ * limite le nombre de streams par résolution et retire les infos de tri internes
+ * @param {Object} settings - Config de l'utilisateur
+ * @param {Array} streams - Streams avec un champ `_sort` { info, size, addedAt }
+ * @returns {Array}
+ */
+function sortStreams(settings, streams) {
+    const compare = STREAM_SORTS[settings.sortBy](settings);
+    const sorted = [...streams].sort((a, b) =>
+        languageRank(settings, a._sort.info.languages) - languageRank(settings, b._sort.info.languages)
+        || compare(a._sort, b._sort)
+    );
+
+    const perResolution = new Map();
+    return sorted
+        .filter(stream => {
+            if (!settings.maxPerResolution) return true;
+            const resolution = stream._sort.info.resolution || 'other';
+            perResolution.set(resolution, (perResolution.get(resolution) || 0) + 1);
+            return perResolution.get(resolution) <= settings.maxPerResolution;
+        })
+        .map(({ _sort, ...stream }) => stream);
+}
 
-                const quality = parsed.quality || extractQuality(name);
+/**
+ * Formate la date relative (il y a X jours)
+ * @param {string|number} dateValue
+ * @param {Function} [t] - Traducteur (lib/i18n), français par défaut
+ * @returns {string}
+ */
+function formatRelativeDate(dateValue, t = createTranslator()) {
+    const date = parseDate(dateValue);
+    if (!date || isNaN(date.getTime())) return '';
 
-                metas.push({
-                    id: cinemetaResult.id, // IMDB ID pour que Stremio le reconnaisse
-                    type: catalogType,
-                    name: cinemetaResult.name,
-                    poster: cinemetaResult.poster,
-                    background: cinemetaResult.background,
-                    description: cinemetaResult.description,
-                    releaseInfo: cinemetaResult.releaseInfo || (parsed.year ? String(parsed.year) : ''),
-                    imdbRating: cinemetaResult.imdbRating,
-                    // Métadonnées custom pour notre addon
-                    _torboxId: torrent.id,
-                    _quality: quality,
-                    _torrentName: name
-                });
+    const now = Date.now();
+    const diff = now - date.getTime();
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor(diff / (1000 * 60 * 60));
 
-                console.log(`[TorboxMedia] ✓ ${cinemetaResult.name} (${cinemetaResult.id})`);
-            } else if (!cinemetaResult) {
-                // Pas trouvé sur Cinemeta, affiche quand même avec un poster générique
-                const quality = parsed.quality || extractQuality(name);
-                const fallbackId = `tb:${torrent.id}`;
-
-                if (!seenImdb.has(fallbackId)) {
-                    seenImdb.add(fallbackId);
-
-                    metas.push({
-                        id: fallbackId,
-                        type: catalogType,
-                        name: parsed.title,
-                        poster: generatePoster('🎬', quality || '?', '2d4a3e'),
-                        description: `Release: ${name}`,
-                        releaseInfo: parsed.year ? String(parsed.year) : quality,
-                        _torboxId: torrent.id,
-                        _quality: quality,
-                        _torrentName: name
-                    });
-
-                    console.log(`[TorboxMedia] ○ ${parsed.title} (fallback)`);
-                }
-            }
-        }
+    if (hours < 1) return t('date.justNow');
+    if (hours < 24) return t('date.hoursAgo', { count: hours });
+    if (days === 1) return t('date.yesterday');
+    if (days < 7) return t('date.daysAgo', { count: days });
+    if (days < 30) return t('date.weeksAgo', { count: Math.floor(days / 7) });
+    return formatDate(dateValue, t);
+}
 
-        console.log(`[TorboxMedia] ═══════════════════════════════════════`);
-        console.log(`[TorboxMedia] ${metas.length} ${catalogType === 'movie' ? 'films' : 'séries'} trouvé(e)s`);
+/**
+ * Formate une durée en secondes (ETA)
+ * @param {number} seconds
+ * @param {Function} [t] - Traducteur (lib/i18n), français par défaut
+ * @returns {string}
+ */
+function formatDuration(seconds, t = createTranslator()) {
+    if (!seconds || seconds < 0 || !isFinite(seconds)) return '∞';
 
-        return { metas };
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const sec = Math.floor(seconds % 60);
 
-    } catch (error) {
-        console.error('[TorboxMedia] Erreur:', error.message);
-        return { metas: [] };
-    }
+    if (h >= 24) return t('duration.days', { days: Math.floor(h / 24), hours: h % 24 });
+    if (h > 0) return t('duration.hours', { hours: h, minutes: String(m).padStart(2, '0') });
+    if (m > 0) return t('duration.minutes', { minutes: m });
+    return t('duration.seconds', { seconds: sec });
 }
 
-// Catalogues (conditionnés par ENABLE_CATALOG)
-const catalogs = ENABLE_CATALOG ? [
-    {
-        type: 'other',
-        id: 'torbox-status',
-        name: 'Torbox Status'
-    },
-    {
-        type: 'movie',
-        id: 'torbox-movies',
-        name: 'Torbox Films'
-    },
-    {
-        type: 'series',
-        id: 'torbox-series',
-        name: 'Torbox Séries'
+/**
+ * Carte d'erreur affichée dans un catalogue quand Torbox ne répond pas correctement
+ * @param {string} type - Type du catalogue
+ * @param {Error} error
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {Object} Meta Stremio
+ */
+function buildErrorMeta(type, error, t) {
+    return {
+        id: 'tbstatus:error',
+        type,
+        name: error instanceof TorboxAuthError ? t('error.invalidKey') : t('error.torbox'),
+        poster: generatePoster('❌', t('error.poster'), 'ff0000'),
+        description: describeTorboxError(error, t)
+    };
+}
+
+/**
+ * Normalise un texte pour la recherche (minuscules, sans accents ni ponctuation)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/** Nombre d'éléments par page des catalogues Films/Séries */
+const CATALOG_PAGE_SIZE = 20;
+
+/**
+ * Type (film ou série) déduit d'une release : celui de son nom, sauf pour un "film" dont les fichiers
+ * sont des épisodes (pack sans saison dans son nom)
+ * @param {Object} item - Élément de la bibliothèque
+ * @param {Object} parsed - Résultat de parseTorrentName
+ * @returns {string}
+ */
+function getReleaseType(item, parsed) {
+    return parsed.type === 'movie' && hasEpisodeFiles(item) ? 'series' : parsed.type;
+}
+
+/**
+ * Type (film ou série) d'un élément : celui de sa correction manuelle, sinon celui de la release
+ * @param {Object} item - Élément de la bibliothèque
+ * @param {Object} parsed - Résultat de parseTorrentName
+ * @returns {string}
+ */
+function getLibraryItemType(item, parsed) {
+    return (item._matchOverride && item._matchOverride.type) || getReleaseType(item, parsed);
+}
+
+/**
+ * Métadonnées d'un élément de la bibliothèque : sa correction manuelle en priorité, sinon la recherche par titre
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} item - Élément de la bibliothèque
+ * @param {Object} parsed - Résultat de parseTorrentName
+ * @returns {Promise<Object|null>} Métadonnées (IMDB ID dans `id`), ou null si introuvable ou ignoré
+ */
+async function getLibraryItemMetadata(user, item, parsed) {
+    const override = item._matchOverride;
+    if (!override) {
+        return searchMetadata(user, parsed.title, getReleaseType(item, parsed), parsed.year);
+    }
+    if (override.ignore) return null;
+
+    // Fiche introuvable chez les fournisseurs : la correction reste appliquée, avec le titre de la release
+    const meta = await getMetadata(user, override.type, override.imdbId);
+    return { ...(meta || { name: parsed.title }), id: override.imdbId, type: override.type, provider: 'manual' };
+}
+
+/**
+ * Handler pour le catalogue Films ou Séries
+ * Supporte les extras Stremio `skip` (pagination), `search` et `genre`, appliqués à l'index de la bibliothèque
+ * (buildLibraryIndex) : les pages suivantes et les filtres ne relancent aucune recherche.
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} catalogType - 'movie' ou 'series'
+ * @param {Object} [extra] - Extras Stremio { skip, search, genre }
+ * @returns {Promise<Object>}
+ */
+async function handleMediaCatalog(user, catalogType, extra = {}) {
+    const skip = Math.max(0, parseInt(extra.skip, 10) || 0);
+    const search = normalizeSearchText(extra.search);
+    const genre = extra.genre || null;
+
+    console.log(`[TorboxMedia] Récupération des ${catalogType === 'movie' ? 'films' : 'séries'}... (skip=${skip}${search ? `, search="${search}"` : ''}${genre ? `, genre=${genre}` : ''})`);
+
+    try {
+        // Releases et fiches de l'index : ni nouvelle recherche ni appel aux fournisseurs par page
+        const index = await getLibraryIndex(user);
+
+        const metas = [];
+        const seenIds = new Set(); // Évite les doublons
+
+        for (const { item, parsed, type, imdbId } of index.catalog) {
+            // On s'arrête dès que la page demandée est complète
+            if (metas.length >= skip + CATALOG_PAGE_SIZE) break;
+
+            // Filtre par type
+            if (type !== catalogType) continue;
+
+            const name = item.name || user.t('common.untitled');
+            const id = imdbId || `tb:${item._key}`;
+            if (seenIds.has(id)) continue;
+
+            // Fiche introuvable chez les fournisseurs (correction manuelle) : le titre de la release
+            const metadataResult = imdbId ? (index.metas.get(imdbId) || { name: parsed.title }) : null;
+
+            // Filtre de recherche : titre trouvé, titre parsé ou nom de la release
+            if (search) {
+                const haystack = normalizeSearchText([
+                    metadataResult ? metadataResult.name : '',
+                    parsed.title,
+                    name
+                ].join(' '));
+                if (!haystack.includes(search)) continue;
+            }
+
+            // Filtre par genre (les fallbacks sans métadonnées n'ont pas de genre)
+            if (genre) {
+                const genres = metadataResult ? metadataResult.genres || metadataResult.genre || [] : [];
+                if (!genres.includes(genre)) continue;
+            }
+
+            seenIds.add(id);
+            const quality = parsed.quality || extractQuality(name);
+
+            if (metadataResult) {
+                metas.push({
+                    id, // IMDB ID pour que Stremio le reconnaisse
+                    type: catalogType,
+                    name: metadataResult.name,
+                    poster: metadataResult.poster,
+                    background: metadataResult.background,
+                    description: metadataResult.description,
+                    releaseInfo: metadataResult.releaseInfo || (parsed.year ? String(parsed.year) : ''),
+                    imdbRating: metadataResult.imdbRating,
+                    genres: metadataResult.genres,
+                    // Métadonnées custom pour notre addon
+                    _torboxId: item.id,
+                    _quality: quality,
+                    _torrentName: name
+                });
+            } else {
+                // Pas trouvé chez les fournisseurs, affiche quand même avec un poster générique
+                metas.push({
+                    id,
+                    type: catalogType,
+                    name: parsed.title,
+                    poster: generatePoster('🎬', quality || '?', '2d4a3e', {
+                        details: [item.size ? formatBytes(item.size) : null]
+                    }),
+                    description: user.t('media.release', { name }),
+                    releaseInfo: parsed.year ? String(parsed.year) : quality,
+                    _torboxId: item.id,
+                    _quality: quality,
+                    _torrentName: name
+                });
+            }
+        }
+
+        const page = metas.slice(skip);
+
+        console.log(`[TorboxMedia] ═══════════════════════════════════════`);
+        console.log(`[TorboxMedia] ${page.length} ${catalogType === 'movie' ? 'films' : 'séries'} trouvé(e)s`);
+
+        return { metas: page };
+
+    } catch (error) {
+        console.error('[TorboxMedia] Erreur:', error.message);
+
+        // Erreur Torbox : une carte explicative plutôt qu'un catalogue vide
+        if (error instanceof TorboxError && skip === 0) {
+            return { metas: [buildErrorMeta(catalogType, error, user.t)] };
+        }
+        return { metas: [] };
+    }
+}
+
+/** États affichés dans le catalogue "Téléchargements en cours" (ordre d'affichage, libellés : downloadState.<clé>) */
+const DOWNLOAD_STATES = {
+    error: { emoji: '❌', color: '7a1f1f' },
+    stalled: { emoji: '⚠️', color: '7a5a1f' },
+    downloading: { emoji: '⬇️', color: '1e3a5f' },
+    queued: { emoji: '⏳', color: '4a4a4a' }
+};
+
+/**
+ * Détermine l'état d'un téléchargement pour le catalogue "en cours"
+ * @param {Object} item - Élément Torbox (torrent, Usenet, web ou élément en file)
+ * @returns {string|null} Clé de DOWNLOAD_STATES, ou null si le téléchargement est terminé
+ */
+function classifyDownload(item) {
+    const state = String(item.download_state || '').toLowerCase();
+
+    if (item._queued) return 'queued';
+    if (/error|fail/.test(state)) return 'error';
+    if (/stalled/.test(state)) return 'stalled';
+    if (item.download_finished || /completed|cached|uploading|seeding/.test(state)) return null;
+    if (/queue/.test(state)) return 'queued';
+    return 'downloading';
+}
+
+/**
+ * Progression d'un téléchargement en pourcentage (Torbox renvoie 0..1)
+ * @param {Object} item
+ * @returns {number}
+ */
+function getDownloadProgress(item) {
+    const progress = Number(item.progress) || 0;
+    return Math.round((progress <= 1 ? progress * 100 : progress) * 10) / 10;
+}
+
+/**
+ * Récupère les téléchargements en file d'attente (pas encore dans mylist)
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Array>}
+ */
+async function getTorboxQueuedDownloads(user) {
+    const queued = await torboxRequest(user.apiKey, '/queued/getqueued', {
+        query: { bypass_cache: true }
+    });
+
+    return (queued || []).map(item => ({
+        ...item,
+        _queued: true,
+        _source: item.type === 'usenet' ? 'usenet' : (item.type === 'webdl' ? 'webdl' : 'torrent'),
+        _key: `q${item.id}`
+    }));
+}
+
+/**
+ * Liste les téléchargements non terminés (en cours, en file, bloqués, en erreur)
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Array>} Éléments triés, avec leur état dans `_downloadState`
+ */
+async function getTorboxActiveDownloads(user) {
+    const [library, queued] = await Promise.all([
+        getTorboxLibrary(user),
+        getTorboxQueuedDownloads(user).catch(error => {
+            console.error('[TorboxDownloads] Erreur file d\'attente:', error.message);
+            return [];
+        })
+    ]);
+
+    const stateOrder = Object.keys(DOWNLOAD_STATES);
+
+    return [...library, ...queued]
+        .map(item => ({ item, state: classifyDownload(item) }))
+        .filter(({ state }) => state !== null)
+        .sort((a, b) => stateOrder.indexOf(a.state) - stateOrder.indexOf(b.state)
+            || getDownloadProgress(b.item) - getDownloadProgress(a.item))
+        .map(({ item, state }) => Object.assign(item, { _downloadState: state }));
+}
+
+/**
+ * Résumé court d'un téléchargement : progression, vitesse, ETA
+ * @param {Object} item
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {string}
+ */
+function formatDownloadSummary(item, t) {
+    const parts = [`${getDownloadProgress(item)}%`];
+
+    if (item._downloadState === 'downloading') {
+        parts.push(`${formatBytes(item.download_speed || 0)}/s`);
+        parts.push(`ETA ${formatDuration(item.eta, t)}`);
+    }
+
+    return parts.join(' • ');
+}
+
+/**
+ * Libellé d'un état de téléchargement, avec son emoji (ex: "⬇️ En cours")
+ * @param {string} state - Clé de DOWNLOAD_STATES
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {string}
+ */
+function formatDownloadState(state, t) {
+    return `${DOWNLOAD_STATES[state].emoji} ${t(`downloadState.${state}`)}`;
+}
+
+/**
+ * Détails complets d'un téléchargement (description de la fiche)
+ * @param {Object} item
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {string}
+ */
+function formatDownloadDetails(item, t) {
+    const { label } = DOWNLOAD_SOURCES[item._source || 'torrent'];
+    const state = `${formatDownloadState(item._downloadState, t)}${item.download_state ? ` (${item.download_state})` : ''}`;
+    const lines = [
+        t('download.state', { state }),
+        t('download.progress', { progress: getDownloadProgress(item) }),
+        t('download.speed', { speed: formatBytes(item.download_speed || 0) }),
+        t('download.eta', { eta: formatDuration(item.eta, t) }),
+        t('download.size', { size: formatBytes(item.size || 0) })
+    ];
+
+    if (item._source === 'torrent' || item._source === undefined) {
+        lines.push(t('download.peers', { seeds: item.seeds || 0, peers: item.peers || 0 }));
+    }
+
+    lines.push(t('download.source', { source: label }));
+    if (item.created_at) lines.push(t('download.added', { date: formatRelativeDate(item.created_at, t) }));
+    if (item.hash) lines.push(t('download.hash', { hash: item.hash }));
+
+    return `${item.name || t('common.untitled')}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Handler du catalogue "Téléchargements en cours"
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>}
+ */
+async function handleDownloadsCatalog(user) {
+    console.log('[TorboxDownloads] Récupération des téléchargements en cours...');
+
+    try {
+        const downloads = await getTorboxActiveDownloads(user);
+
+        const metas = downloads.map(item => {
+            const state = DOWNLOAD_STATES[item._downloadState];
+
+            return {
+                id: `tbdl:${item._key}`,
+                type: 'other',
+                name: item.name || user.t('common.untitled'),
+                poster: generatePoster(state.emoji, `${getDownloadProgress(item)}%`, state.color, {
+                    progress: getDownloadProgress(item) / 100,
+                    details: [user.t(`downloadState.${item._downloadState}`)]
+                }),
+                description: formatDownloadDetails(item, user.t),
+                releaseInfo: formatDownloadSummary(item, user.t)
+            };
+        });
+
+        console.log(`[TorboxDownloads] ${metas.length} téléchargement(s) en cours`);
+        return { metas };
+
+    } catch (error) {
+        console.error('[TorboxDownloads] Erreur:', error.message);
+        return { metas: error instanceof TorboxError ? [buildErrorMeta('other', error, user.t)] : [] };
+    }
+}
+
+/**
+ * Handler meta d'un téléchargement en cours (tbdl:<clé>)
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} id - ID Stremio
+ * @returns {Promise<Object>}
+ */
+async function handleDownloadMeta(user, id) {
+    const key = id.replace('tbdl:', '');
+
+    try {
+        const downloads = await getTorboxActiveDownloads(user);
+        let item = downloads.find(d => d._key === key);
+
+        // Téléchargement terminé entre-temps : on affiche quand même la fiche
+        if (!item && user.torrentsCache.has(key)) {
+            item = Object.assign(user.torrentsCache.get(key), { _downloadState: null });
+        }
+
+        if (!item) {
+            return { meta: null };
+        }
+
+        const { t } = user;
+        const state = item._downloadState ? DOWNLOAD_STATES[item._downloadState] : null;
+        const progress = state ? getDownloadProgress(item) : 100;
+
+        return {
+            meta: {
+                id,
+                type: 'other',
+                name: item.name || t('common.untitled'),
+                poster: generatePoster(state ? state.emoji : '✅', `${progress}%`, state ? state.color : '2d4a3e', {
+                    progress: progress / 100
+                }),
+                background: generatePoster(state ? state.emoji : '✅', `${progress}%`, '1a1a2e', {
+                    progress: progress / 100,
+                    layout: 'background'
+                }),
+                description: state ? formatDownloadDetails(item, t) : `${item.name}\n\n✅ ${t('download.finished')}`,
+                releaseInfo: state ? formatDownloadSummary(item, t) : `✅ ${t('download.finishedShort')}`
+            }
+        };
+    } catch (error) {
+        console.error('[TorboxDownloads] Erreur meta:', error.message);
+        return { meta: null };
+    }
+}
+
+/**
+ * Clé de regroupement d'une release pour le rapport de doublons : IMDB ID, plus saison/épisode pour les séries
+ * @param {string} imdbId
+ * @param {string} type - Type de l'élément (getLibraryItemType : correction manuelle, packs d'épisodes)
+ * @param {string} name - Nom de la release
+ * @returns {Object} { key, label }
+ */
+function getDuplicateKey(imdbId, type, name) {
+    if (type !== 'series') {
+        return { key: imdbId, label: '' };
+    }
+
+    const { seasons, episodes } = parseEpisodeInfo(name);
+    const pad = n => String(n).padStart(2, '0');
+    const seasonLabel = seasons.length > 1
+        ? `S${pad(seasons[0])}-S${pad(seasons[seasons.length - 1])}`
+        : `S${pad(seasons[0] || 1)}`;
+    const label = episodes.length > 0
+        ? `${seasonLabel}E${episodes.map(pad).join('E')}`
+        : seasonLabel;
+
+    return { key: `${imdbId}:${label}`, label };
+}
+
+/**
+ * Rapport des doublons de la bibliothèque : releases terminées regroupées par IMDB ID
+ * (et saison/épisode), la meilleure copie est gardée, les autres comptent comme espace récupérable
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>} { groups, reclaimableBytes, reclaimable }
+ */
+async function buildDuplicatesReport(user) {
+    const library = await getTorboxLibrary(user);
+    const groups = new Map();
+
+    for (const item of library) {
+        if (classifyDownload(item) !== null) continue; // Téléchargements en cours : pas encore des doublons
+
+        const parsed = parseTorrentName(item.name || '');
+        let imdbId = item._imdbId;
+        if (!imdbId) {
+            const metadataResult = await getLibraryItemMetadata(user, item, parsed);
+            if (!metadataResult) continue;
+            imdbId = metadataResult.id;
+            setImdbMapping(user, item, imdbId);
+        }
+
+        const type = getLibraryItemType(item, parsed);
+        const { key, label } = getDuplicateKey(imdbId, type, item.name || '');
+        if (!groups.has(key)) {
+            groups.set(key, { key, imdbId, type, label, items: [] });
+        }
+        groups.get(key).items.push(item);
+    }
+
+    const report = [];
+    for (const group of groups.values()) {
+        if (group.items.length < 2) continue;
+
+        // Meilleure copie d'abord : résolution préférée, puis la plus grosse
+        const copies = group.items
+            .map(item => ({ item, info: parseReleaseInfo(item.name || '') }))
+            .sort((a, b) =>
+                resolutionRank(user.settings, a.info.resolution) - resolutionRank(user.settings, b.info.resolution)
+                || (b.item.size || 0) - (a.item.size || 0)
+            )
+            .map(({ item, info }, index) => ({
+                key: item._key,
+                source: item._source,
+                name: item.name || user.t('common.untitled'),
+                quality: getVideoTags(info).join(' ') || '?',
+                sizeBytes: item.size || 0,
+                size: formatBytes(item.size || 0),
+                keep: index === 0
+            }));
+
+        const reclaimableBytes = copies.filter(copy => !copy.keep).reduce((total, copy) => total + copy.sizeBytes, 0);
+        const meta = await getMetadata(user, group.type, group.imdbId);
+
+        report.push({
+            key: group.key,
+            imdbId: group.imdbId,
+            type: group.type,
+            name: `${meta ? meta.name : group.imdbId}${group.label ? ` ${group.label}` : ''}`,
+            poster: meta ? meta.poster : null,
+            copies,
+            reclaimableBytes,
+            reclaimable: formatBytes(reclaimableBytes)
+        });
+    }
+
+    report.sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
+    const reclaimableBytes = report.reduce((total, group) => total + group.reclaimableBytes, 0);
+
+    return { groups: report, reclaimableBytes, reclaimable: formatBytes(reclaimableBytes) };
+}
+
+/**
+ * Description d'un groupe de doublons (une ligne par copie)
+ * @param {Object} group - Groupe de buildDuplicatesReport
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {string}
+ */
+function formatDuplicateGroup(group, t) {
+    const lines = group.copies.map(copy =>
+        `${copy.keep ? `✅ ${t('duplicates.keep')}` : `🗑️ ${t('duplicates.duplicate')}`} • ${copy.quality} • ${copy.size}\n${copy.name}`
+    );
+    return `${lines.join('\n\n')}\n\n${t('duplicates.reclaimable', { size: group.reclaimable })}`;
+}
+
+/**
+ * Catalogue "Doublons" : résumé puis un élément par groupe de copies
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>} { metas }
+ */
+async function handleDuplicatesCatalog(user) {
+    console.log('[TorboxDuplicates] Analyse des doublons...');
+
+    try {
+        const report = await buildDuplicatesReport(user);
+        console.log(`[TorboxDuplicates] ${report.groups.length} groupe(s), ${report.reclaimable} récupérables`);
+
+        const { t } = user;
+        const count = report.groups.length;
+        const metas = [{
+            id: 'tbdup:summary',
+            type: 'other',
+            name: t('duplicates.reclaimable', { size: report.reclaimable }),
+            poster: generatePoster('🧹', report.reclaimable, '5a2d6e'),
+            description: count > 0
+                ? t('duplicates.summary', { count, size: report.reclaimable })
+                : t('duplicates.none'),
+            releaseInfo: t('duplicates.count', { count })
+        }];
+
+        report.groups.forEach(group => {
+            const copies = t('duplicates.copies', { count: group.copies.length });
+            metas.push({
+                id: `tbdup:${group.key}`,
+                type: 'other',
+                name: `${group.name} (${copies})`,
+                poster: group.poster || generatePoster('📑', copies, '5a2d6e'),
+                description: formatDuplicateGroup(group, t),
+                releaseInfo: t('duplicates.reclaimableShort', { size: group.reclaimable })
+            });
+        });
+
+        return { metas };
+    } catch (error) {
+        console.error('[TorboxDuplicates] Erreur:', error.message);
+        return error instanceof TorboxError ? { metas: [buildErrorMeta('other', error, user.t)] } : { metas: [] };
     }
-] : [];
+}
+
+/**
+ * Meta d'un groupe de doublons (tbdup:<clé>) ou du résumé (tbdup:summary)
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} id
+ * @returns {Promise<Object>} { meta }
+ */
+async function handleDuplicateMeta(user, id) {
+    const { metas } = await handleDuplicatesCatalog(user);
+    const meta = metas.find(m => m.id === id);
+    return { meta: meta ? { ...meta, background: meta.poster } : null };
+}
+
+/**
+ * État du compte pour la surveillance en arrière-plan (lib/watcher)
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>} { downloads: [{ key, source, name, size, state }], partial, expiresAt, daysRemaining }
+ */
+async function getWatchStatus(user) {
+    // Comme getTorboxLibrary, une erreur Usenet ou Web ne bloque pas les torrents, mais la liste est signalée incomplète
+    let partial = false;
+    const readOptional = (source, label) => getTorboxDownloads(user, source).catch(error => {
+        console.error(`[${label}] Erreur:`, error.message);
+        partial = true;
+        return [];
+    });
+
+    const [torrents, usenet, web, account] = await Promise.all([
+        getTorboxTorrents(user),
+        readOptional('usenet', 'TorboxUsenet'),
+        readOptional('webdl', 'TorboxWeb'),
+        getTorboxUserInfo(user)
+    ]);
+
+    return {
+        downloads: [...torrents, ...usenet, ...web].map(item => {
+            const state = classifyDownload(item);
+            return {
+                key: item._key,
+                source: item._source,
+                name: item.name || user.t('common.untitled'),
+                size: formatBytes(item.size || 0),
+                state: state === null ? 'finished' : (state === 'error' ? 'error' : 'active')
+            };
+        }),
+        partial,
+        expiresAt: account.premium_expires_at || null,
+        daysRemaining: account.premium_expires_at ? daysRemaining(account.premium_expires_at) : null
+    };
+}
+
+/** Surveillance du compte TORBOX_API_KEY (démarrée seulement si des cibles de notification sont configurées) */
+const watcher = ENV_DEFAULTS.apiKey && NOTIFY_TARGETS.length > 0
+    ? createWatcher({
+        accountId: getUserId(ENV_DEFAULTS.apiKey),
+        fetchStatus: () => getWatchStatus(getUserContext(null)),
+        store: createStore('watcher'),
+        targets: NOTIFY_TARGETS,
+        events: NOTIFY_EVENTS,
+        expiryDays: NOTIFY_EXPIRY_DAYS,
+        interval: WATCH_INTERVAL,
+        t: createTranslator(ENV_DEFAULTS.locale)
+    })
+    : null;
+
+/** Genres Cinemeta proposés dans le filtre des catalogues Films/Séries */
+const CINEMETA_GENRES = {
+    movie: [
+        'Action', 'Adventure', 'Animation', 'Biography', 'Comedy', 'Crime', 'Documentary',
+        'Drama', 'Family', 'Fantasy', 'History', 'Horror', 'Mystery', 'Romance', 'Sci-Fi',
+        'Sport', 'Thriller', 'War', 'Western'
+    ],
+    series: [
+        'Action', 'Adventure', 'Animation', 'Biography', 'Comedy', 'Crime', 'Documentary',
+        'Drama', 'Family', 'Fantasy', 'Game-Show', 'History', 'Horror', 'Mystery',
+        'Reality-TV', 'Romance', 'Sci-Fi', 'Sport', 'Talk-Show', 'Thriller', 'War', 'Western'
+    ]
+};
+
+/**
+ * Extras d'un catalogue Films/Séries (pagination, recherche, genre)
+ * @param {string} type - 'movie' ou 'series'
+ * @returns {Object} { extra, extraSupported }
+ */
+function mediaCatalogExtras(type) {
+    return {
+        extra: [
+            { name: 'search', isRequired: false },
+            { name: 'genre', isRequired: false, options: CINEMETA_GENRES[type] },
+            { name: 'skip', isRequired: false }
+        ],
+        extraSupported: ['search', 'genre', 'skip']
+    };
+}
+
+/**
+ * Catalogues (affichés si enableCatalog est activé dans la config), nommés dans la langue choisie
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {Array}
+ */
+function buildCatalogs(t) {
+    return [
+        {
+            type: 'other',
+            id: 'torbox-status',
+            name: t('catalog.status')
+        },
+        {
+            type: 'other',
+            id: 'torbox-downloads',
+            name: t('catalog.downloads')
+        },
+        {
+            type: 'other',
+            id: 'torbox-duplicates',
+            name: t('catalog.duplicates')
+        },
+        {
+            type: 'movie',
+            id: 'torbox-movies',
+            name: t('catalog.movies'),
+            ...mediaCatalogExtras('movie')
+        },
+        {
+            type: 'series',
+            id: 'torbox-series',
+            name: t('catalog.series'),
+            ...mediaCatalogExtras('series')
+        }
+    ];
+}
+
+/**
+ * Construit le manifest de l'addon pour une config donnée
+ * @param {Object} settings - Config normalisée (voir lib/config)
+ * @returns {Object}
+ */
+function buildManifest(settings) {
+    const t = createTranslator(settings.locale);
+
+    return {
+        id: 'community.torbox.status',
+        version: '2.27.0',
+        name: 'Torbox Status',
+        description: settings.enableCatalog
+            ? t('manifest.description')
+            : t('manifest.descriptionNoCatalog'),
+        logo: 'https://torbox.app/favicon.ico',
+        catalogs: settings.enableCatalog ? buildCatalogs(t) : [],
+        resources: settings.enableCatalog ? ['catalog', 'meta', 'stream', 'subtitles'] : ['stream', 'subtitles'],
+        types: ['other', 'movie', 'series', 'anime'],
+        idPrefixes: ['tbstatus:', 'tbdl:', 'tbdup:', 'tb:', 'tt', 'kitsu:']
+    };
+}
 
-// Manifest de l'addon
+// Manifest de référence : déclare tous les handlers + le formulaire /configure
 const manifest = {
-    id: 'community.torbox.status',
-    version: '2.2.1',
-    name: 'Torbox Status',
-    description: ENABLE_CATALOG
-        ? 'Stats Torbox + Films & Séries récents avec vrais posters'
-        : 'Streams Torbox Cloud (catalogues désactivés)',
-    logo: 'https://torbox.app/favicon.ico',
-    catalogs,
-    resources: ENABLE_CATALOG ? ['catalog', 'meta', 'stream'] : ['stream'],
-    types: ['other', 'movie', 'series'],
-    idPrefixes: ['tbstatus:', 'tb:', 'tt']
+    ...buildManifest({ enableCatalog: true }),
+    behaviorHints: {
+        configurable: true,
+        configurationRequired: !ENV_DEFAULTS.apiKey
+    },
+    config: CONFIG_FIELDS
 };
 
 const builder = new addonBuilder(manifest);
 
 /**
  * Handler du catalogue - Stats, Films ou Séries
- * (uniquement si ENABLE_CATALOG=true)
+ * (uniquement si enableCatalog est activé)
  */
-if (ENABLE_CATALOG) {
-builder.defineCatalogHandler(async ({ type, id }) => {
+builder.defineCatalogHandler(async ({ type, id, extra, config }) => {
+    const user = getUserContext(config);
+
+    if (!user.settings.enableCatalog) {
+        return { metas: [] };
+    }
+
     // Catalogue Films
     if (type === 'movie' && id === 'torbox-movies') {
-        return handleMediaCatalog('movie');
+        return handleMediaCatalog(user, 'movie', extra);
     }
 
     // Catalogue Séries
     if (type === 'series' && id === 'torbox-series') {
-        return handleMediaCatalog('series');
+        return handleMediaCatalog(user, 'series', extra);
+    }
+
+    // Catalogue Téléchargements en cours
+    if (type === 'other' && id === 'torbox-downloads') {
+        return handleDownloadsCatalog(user);
+    }
+
+    // Catalogue Doublons
+    if (type === 'other' && id === 'torbox-duplicates') {
+        return handleDuplicatesCatalog(user);
     }
 
     // Catalogue Status (type other)
@@ -518,88 +1820,103 @@ builder.defineCatalogHandler(async ({ type, id }) => {
     console.log('[TorboxStatus] Récupération des stats...');
 
     try {
-        const user = await getTorboxUserInfo();
+        const [account, usedBytes] = await Promise.all([getTorboxUserInfo(user), getLibraryUsedBytes(user)]);
 
         // Debug: affiche les données brutes
         console.log('[TorboxStatus] ═══════════════════════════════════════');
-        console.log('[TorboxStatus] Utilisateur:', user.email);
-        console.log('[TorboxStatus] Plan:', getPlanName(user.plan));
-        console.log('[TorboxStatus] Premium expires:', user.premium_expires_at, '→', formatDate(user.premium_expires_at));
-        console.log('[TorboxStatus] Jours restants:', daysRemaining(user.premium_expires_at));
-        console.log('[TorboxStatus] Cloud:', formatBytes(user.total_bytes_downloaded || 0));
-        console.log('[TorboxStatus] Torrents actifs:', user.active_torrents || 0);
-        console.log('[TorboxStatus] Usenet actifs:', user.active_usenet_downloads || 0);
-        console.log('[TorboxStatus] Web DL actifs:', user.active_web_downloads || 0);
+        console.log('[TorboxStatus] Utilisateur:', account.email);
+        console.log('[TorboxStatus] Plan:', getPlanName(account.plan));
+        console.log('[TorboxStatus] Premium expires:', account.premium_expires_at, '→', formatDate(account.premium_expires_at));
+        console.log('[TorboxStatus] Jours restants:', daysRemaining(account.premium_expires_at));
+        console.log('[TorboxStatus] Cloud:', formatBytes(usedBytes), '/ total téléchargé:', formatBytes(account.total_bytes_downloaded || 0));
+        console.log('[TorboxStatus] Torrents actifs:', account.active_torrents || 0);
+        console.log('[TorboxStatus] Usenet actifs:', account.active_usenet_downloads || 0);
+        console.log('[TorboxStatus] Web DL actifs:', account.active_web_downloads || 0);
         console.log('[TorboxStatus] ═══════════════════════════════════════');
 
+        const { t } = user;
         const metas = [];
 
         // 1. Plan & Expiration
-        const days = daysRemaining(user.premium_expires_at);
-        const planStatus = user.is_subscribed ? '🟢 Actif' : '🔴 Inactif';
-        const daysText = days > 0 ? `${days}j restants` : (user.premium_expires_at ? 'Expiré' : 'Illimité');
-        const daysDisplay = days > 0 ? `${days} jours` : (user.premium_expires_at ? 'Expiré' : '∞');
+        const days = daysRemaining(account.premium_expires_at);
+        const planStatus = account.is_subscribed ? t('status.active') : t('status.inactive');
+        const daysText = days > 0 ? t('status.daysLeftShort', { count: days }) : (account.premium_expires_at ? t('status.expired') : t('status.unlimited'));
+        const daysDisplay = days > 0 ? t('status.days', { count: days }) : (account.premium_expires_at ? t('status.expired') : '∞');
         metas.push({
             id: 'tbstatus:plan',
             type: 'other',
-            name: `${getPlanName(user.plan)} - ${daysText}`,
-            poster: generatePoster('📅', daysDisplay, '16213e'),
-            description: `Plan: ${getPlanName(user.plan)}\nStatut: ${planStatus}\nExpire le: ${formatDate(user.premium_expires_at)}`,
+            name: `${getPlanName(account.plan)} - ${daysText}`,
+            poster: generatePoster('📅', daysDisplay, '16213e', {
+                progress: account.premium_expires_at ? days / SUBSCRIPTION_BAR_DAYS : undefined,
+                details: [getPlanName(account.plan)]
+            }),
+            description: t('status.planDescription', {
+                plan: getPlanName(account.plan),
+                status: planStatus,
+                date: formatDate(account.premium_expires_at, t)
+            }),
             releaseInfo: planStatus
         });
 
         // 2. Espace Cloud
-        const usedSpace = formatBytes(user.total_bytes_downloaded || 0);
+        const usedSpace = formatBytes(usedBytes);
         metas.push({
             id: 'tbstatus:cloud',
             type: 'other',
-            name: `Cloud: ${usedSpace}`,
-            poster: generatePoster('💾', usedSpace, '1e3a5f'),
-            description: `Espace utilisé: ${usedSpace}\nTotal téléchargé: ${formatBytes(user.total_bytes_downloaded || 0)}`,
+            name: t('status.cloudName', { size: usedSpace }),
+            poster: generatePoster('💾', usedSpace, '1e3a5f', getStoragePosterOptions(usedBytes)),
+            description: t('status.cloudDescription', { size: usedSpace, total: formatBytes(account.total_bytes_downloaded || 0) }),
             releaseInfo: usedSpace
         });
 
         // 3. Torrents actifs
-        const activeTorrents = user.active_torrents || 0;
+        const activeTorrents = account.active_torrents || 0;
+        const torrentsActive = t('status.activeCount', { count: activeTorrents });
         metas.push({
             id: 'tbstatus:torrents',
             type: 'other',
-            name: `Torrents: ${activeTorrents} actifs`,
+            name: t('status.torrentsName', { active: torrentsActive }),
             poster: generatePoster('🌊', `${activeTorrents}`, '3d1e5f'),
-            description: `Torrents actifs: ${activeTorrents}`,
-            releaseInfo: `${activeTorrents} actifs`
+            description: t('status.torrentsDescription', { count: activeTorrents }),
+            releaseInfo: torrentsActive
         });
 
         // 4. Downloads Usenet
-        const activeUsenet = user.active_usenet_downloads || 0;
+        const activeUsenet = account.active_usenet_downloads || 0;
+        const usenetActive = t('status.activeCount', { count: activeUsenet });
         metas.push({
             id: 'tbstatus:usenet',
             type: 'other',
-            name: `Usenet: ${activeUsenet} actifs`,
+            name: t('status.usenetName', { active: usenetActive }),
             poster: generatePoster('📰', `${activeUsenet}`, '5f1e3d'),
-            description: `Downloads Usenet actifs: ${activeUsenet}`,
-            releaseInfo: `${activeUsenet} actifs`
+            description: t('status.usenetDescription', { count: activeUsenet }),
+            releaseInfo: usenetActive
         });
 
         // 5. Web Downloads
-        const activeWeb = user.active_web_downloads || 0;
+        const activeWeb = account.active_web_downloads || 0;
+        const webActive = t('status.activeCount', { count: activeWeb });
         metas.push({
             id: 'tbstatus:web',
             type: 'other',
-            name: `Web DL: ${activeWeb} actifs`,
+            name: t('status.webName', { active: webActive }),
             poster: generatePoster('🌐', `${activeWeb}`, '1e5f3d'),
-            description: `Downloads Web actifs: ${activeWeb}`,
-            releaseInfo: `${activeWeb} actifs`
+            description: t('status.webDescription', { count: activeWeb }),
+            releaseInfo: webActive
         });
 
         // 6. Compte
         metas.push({
             id: 'tbstatus:account',
             type: 'other',
-            name: `Compte: ${user.email}`,
-            poster: generatePoster('👤', 'Compte', '4a4a4a'),
-            description: `Email: ${user.email}\nCréé le: ${formatDate(user.created_at)}\nServeur: ${user.server || 'Auto'}`,
-            releaseInfo: user.email
+            name: t('status.accountName', { email: account.email }),
+            poster: generatePoster('👤', t('status.accountPoster'), '4a4a4a'),
+            description: t('status.accountDescription', {
+                email: account.email,
+                date: formatDate(account.created_at, t),
+                server: account.server || t('status.serverAuto')
+            }),
+            releaseInfo: account.email
         });
 
         console.log(`[TorboxStatus] ${metas.length} stats générées`);
@@ -613,32 +1930,36 @@ builder.defineCatalogHandler(async ({ type, id }) => {
             metas: [{
                 id: 'tbstatus:error',
                 type: 'other',
-                name: 'Erreur de connexion',
-                poster: generatePoster('❌', 'Erreur', 'ff0000'),
-                description: `Impossible de récupérer les stats Torbox.\n\nErreur: ${error.message}\n\nVérifie ta clé API.`
+                name: user.t('error.connection'),
+                poster: generatePoster('❌', user.t('error.poster'), 'ff0000'),
+                description: `${user.t('error.statsUnavailable')}\n\n${describeTorboxError(error, user.t)}`
             }]
         };
     }
 });
-} // Fin if (ENABLE_CATALOG)
 
 /**
  * Handler meta - Détails d'une stat ou d'un torrent fallback
- * (uniquement si ENABLE_CATALOG=true)
+ * (uniquement si enableCatalog est activé)
  */
-if (ENABLE_CATALOG) {
-builder.defineMetaHandler(async ({ type, id }) => {
+builder.defineMetaHandler(async ({ type, id, config }) => {
+    const user = getUserContext(config);
+
+    if (!user.settings.enableCatalog) {
+        return { meta: null };
+    }
+
     // Meta pour les fallback tb: (films/séries non trouvés sur Cinemeta)
     if (id.startsWith('tb:')) {
-        const torrentId = id.replace('tb:', '');
+        const torrentId = id.slice(3).split(':')[0];
         console.log(`[TorboxMeta] Demande meta fallback pour torrent ${torrentId}`);
 
         try {
-            let torrent = torrentsCache.get(torrentId);
+            let torrent = user.torrentsCache.get(torrentId);
             if (!torrent) {
                 console.log('[TorboxMeta] Torrent pas en cache, rechargement...');
-                await getTorboxTorrents();
-                torrent = torrentsCache.get(torrentId);
+                await getTorboxLibrary(user);
+                torrent = user.torrentsCache.get(torrentId);
             }
 
             if (!torrent) {
@@ -649,26 +1970,46 @@ builder.defineMetaHandler(async ({ type, id }) => {
             const parsed = parseTorrentName(torrent.name);
             const quality = parsed.quality || extractQuality(torrent.name);
             const size = formatBytes(torrent.size || 0);
-
-            return {
-                meta: {
-                    id,
-                    type: type,
-                    name: parsed.title,
-                    poster: generatePoster('🎬', quality || size, '2d4a3e'),
-                    background: generatePoster('🎬', quality || '', '1a1a2e'),
-                    description: `Release: ${torrent.name}\n\nTaille: ${size}`,
-                    releaseInfo: parsed.year ? String(parsed.year) : quality
-                }
+            const videos = buildTorrentVideos(user, torrent, type);
+
+            const meta = {
+                id: `tb:${torrentId}`,
+                type: type,
+                name: parsed.title,
+                poster: generatePoster('🎬', quality || size, '2d4a3e', { details: quality ? [size] : [] }),
+                background: generatePoster('🎬', quality || size, '1a1a2e', {
+                    details: [quality ? size : null, parsed.year ? String(parsed.year) : null],
+                    layout: 'background'
+                }),
+                description: `${user.t('media.release', { name: torrent.name })}\n\n${user.t('media.size', { size })}`,
+                releaseInfo: parsed.year ? String(parsed.year) : quality
             };
+
+            // Un film d'un seul fichier se lance directement depuis la fiche
+            if (type === 'series' || videos.length > 1) {
+                meta.videos = videos;
+                meta.description += `\n${user.t('media.videoFiles', { count: videos.length })}`;
+            }
+
+            return { meta };
         } catch (error) {
             console.error('[TorboxMeta] Erreur:', error.message);
             return { meta: null };
         }
     }
 
-    // Les IDs IMDB (tt...) sont gérés automatiquement par Stremio via Cinemeta
-    // On ne fait rien ici
+    // Meta d'un téléchargement en cours (tbdl:)
+    if (id.startsWith('tbdl:')) {
+        return handleDownloadMeta(user, id);
+    }
+
+    // Meta d'un groupe de doublons (tbdup:)
+    if (id.startsWith('tbdup:')) {
+        return handleDuplicateMeta(user, id);
+    }
+
+    // Les IDs IMDB (tt...) sont gérés automatiquement par Stremio via Cinemeta
+    // On ne fait rien ici
 
     // Meta pour les stats (tbstatus:) - type other uniquement
     if (type !== 'other' || !id.startsWith('tbstatus:')) {
@@ -676,35 +2017,47 @@ builder.defineMetaHandler(async ({ type, id }) => {
     }
 
     try {
-        const user = await getTorboxUserInfo();
+        const { t } = user;
+        const account = await getTorboxUserInfo(user);
         const statType = id.replace('tbstatus:', '');
 
         let meta = {
             id,
             type: 'other',
-            name: 'Torbox Status',
-            description: 'Stats de ton compte'
+            name: t('status.title'),
+            description: t('status.description')
         };
 
         switch (statType) {
             case 'plan':
-                const days = daysRemaining(user.premium_expires_at);
-                meta.name = `${getPlanName(user.plan)} - ${days} jours restants`;
-                meta.description = `Plan: ${getPlanName(user.plan)}\nExpire le: ${formatDate(user.premium_expires_at)}\n\nJours restants: ${days}`;
-                meta.poster = generatePoster('📅', `${days}j`, '16213e');
+                const days = daysRemaining(account.premium_expires_at);
+                meta.name = `${getPlanName(account.plan)} - ${t('status.daysLeft', { count: days })}`;
+                meta.description = t('status.planMetaDescription', {
+                    plan: getPlanName(account.plan),
+                    date: formatDate(account.premium_expires_at, t),
+                    count: days
+                });
+                meta.poster = generatePoster('📅', t('status.daysPoster', { count: days }), '16213e', {
+                    progress: account.premium_expires_at ? days / SUBSCRIPTION_BAR_DAYS : undefined,
+                    details: [getPlanName(account.plan)]
+                });
                 break;
             case 'cloud':
-                meta.name = `Cloud: ${formatBytes(user.total_bytes_downloaded || 0)}`;
-                meta.description = `Total téléchargé depuis la création du compte: ${formatBytes(user.total_bytes_downloaded || 0)}`;
-                meta.poster = generatePoster('💾', formatBytes(user.total_bytes_downloaded || 0), '1e3a5f');
+                const usedBytes = await getLibraryUsedBytes(user);
+                meta.name = t('status.cloudName', { size: formatBytes(usedBytes) });
+                meta.description = t('status.cloudDescription', {
+                    size: formatBytes(usedBytes),
+                    total: formatBytes(account.total_bytes_downloaded || 0)
+                });
+                meta.poster = generatePoster('💾', formatBytes(usedBytes), '1e3a5f', getStoragePosterOptions(usedBytes));
                 break;
             case 'account':
-                meta.name = user.email;
-                meta.description = `Email: ${user.email}\nCréé le: ${formatDate(user.created_at)}`;
-                meta.poster = generatePoster('👤', 'Compte', '4a4a4a');
+                meta.name = account.email;
+                meta.description = t('status.accountMetaDescription', { email: account.email, date: formatDate(account.created_at, t) });
+                meta.poster = generatePoster('👤', t('status.accountPoster'), '4a4a4a');
                 break;
             default:
-                meta.name = 'Stat inconnue';
+                meta.name = t('status.unknown');
         }
 
         return { meta };
@@ -712,164 +2065,588 @@ builder.defineMetaHandler(async ({ type, id }) => {
         return { meta: null };
     }
 });
-} // Fin if (ENABLE_CATALOG) pour meta
+
+/**
+ * Construit l'URL /play d'un fichier : le lien Torbox n'est demandé qu'au clic
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @param {number} [fileId] - ID du fichier (optionnel)
+ * @returns {string}
+ */
+function buildPlayUrl(user, torrent, fileId = null) {
+    const fileSegment = fileId !== null && fileId !== undefined ? `/${fileId}` : '';
+    return `${getPublicUrl()}/play/${user.id}/${torrent._key}${fileSegment}`;
+}
 
 /**
  * Génère les streams pour un torrent donné
+ * @param {Object} user - Contexte utilisateur
  * @param {Object} torrent - Objet torrent
- * @returns {Promise<Array>}
+ * @param {Array} [files] - Fichiers à proposer (défaut: tous les fichiers vidéo du torrent)
+ * @returns {Promise<Array>} Streams filtrés selon les préférences, avec un champ `_sort` à passer à sortStreams
  */
-async function generateStreamsForTorrent(torrent) {
+async function generateStreamsForTorrent(user, torrent, files = null) {
     const streams = [];
+    const { label } = DOWNLOAD_SOURCES[torrent._source || 'torrent'];
+    const addedAt = (parseDate(torrent.created_at) || new Date(0)).getTime();
 
     // Si le torrent a des fichiers listés, on crée un stream par fichier vidéo
     if (torrent.files && torrent.files.length > 0) {
-        const videoExtensions = ['.mkv', '.mp4', '.avi', '.mov', '.wmv', '.webm'];
-
-        for (const file of torrent.files) {
-            const isVideo = videoExtensions.some(ext =>
-                file.name.toLowerCase().endsWith(ext)
-            );
+        for (const file of (files && files.length > 0 ? files : torrent.files)) {
+            if (isVideoFile(file.name)) {
+                const info = parseFileReleaseInfo(torrent, file);
 
-            if (isVideo) {
-                try {
-                    const streamUrl = await getTorboxStreamLink(torrent.id, file.id);
-                    const quality = extractQuality(file.name);
+                if (!acceptsStreamFile(user.settings, info, file.size)) {
+                    console.log(`[TorboxStream] Fichier écarté par les préférences: ${file.name}`);
+                    continue;
+                }
 
-                    streams.push({
-                        name: `⚡ TORBOX CLOUD`,
-                        title: `${quality ? quality + ' • ' : ''}${file.name}`,
-                        url: streamUrl
-                    });
+                streams.push({
+                    name: label,
+                    title: formatStreamTitle(file.name, file.size, info),
+                    url: buildPlayUrl(user, torrent, file.id),
+                    behaviorHints: buildStreamHints(file.name, file.size, info),
+                    _sort: { info, size: file.size || 0, addedAt }
+                });
 
-                    console.log(`[TorboxStream] Stream ajouté: ${file.name}`);
-                } catch (err) {
-                    console.error(`[TorboxStream] Erreur fichier ${file.id}:`, err.message);
-                }
+                console.log(`[TorboxStream] Stream ajouté: ${file.name}`);
             }
         }
     } else {
         // Pas de fichiers listés, on essaie avec le torrent entier
-        try {
-            const streamUrl = await getTorboxStreamLink(torrent.id);
-            const quality = extractQuality(torrent.name);
+        const info = parseReleaseInfo(torrent.name);
 
+        if (acceptsStreamFile(user.settings, info, torrent.size)) {
             streams.push({
-                name: `⚡ TORBOX CLOUD`,
-                title: `${quality ? quality + ' • ' : ''}${torrent.name}`,
-                url: streamUrl
+                name: label,
+                title: formatStreamTitle(torrent.name, torrent.size, info),
+                url: buildPlayUrl(user, torrent),
+                behaviorHints: buildStreamHints(torrent.name, torrent.size, info),
+                _sort: { info, size: torrent.size || 0, addedAt }
             });
 
             console.log(`[TorboxStream] Stream ajouté: ${torrent.name}`);
-        } catch (err) {
-            console.error(`[TorboxStream] Erreur torrent:`, err.message);
         }
     }
 
     return streams;
 }
 
+/** Nombre maximal de hashes vérifiés et de streams "Torbox Instant" proposés */
+const INSTANT_MAX_HASHES = 50;
+const INSTANT_MAX_STREAMS = 10;
+
+/** Validité d'un lien /instant : au-delà, Stremio doit redemander la liste des streams */
+const INSTANT_LINK_TTL = 6 * 60 * 60 * 1000;
+
 /**
- * Handler de stream - Lance un film/série depuis Torbox
- * Retourne TOUS les torrents correspondants (multi-qualités)
+ * Signature d'un lien /instant (HMAC par la clé API de l'utilisateur)
+ * Ce lien ajoute un torrent au compte : le userId, présent dans toutes les URLs de streams, ne suffit pas
+ * à en fabriquer un.
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} hash - Infohash (hex)
+ * @param {string|null} fileName - Fichier choisi
+ * @param {number} expires - Expiration (timestamp en ms)
+ * @returns {string}
  */
-builder.defineStreamHandler(async ({ type, id }) => {
-    console.log(`[TorboxStream] Demande de stream: type=${type}, id=${id}`);
+function signInstantLink(user, hash, fileName, expires) {
+    return crypto.createHmac('sha256', user.apiKey)
+        .update(`instant:${hash}:${fileName || ''}:${expires}`)
+        .digest('hex')
+        .slice(0, 32);
+}
 
-    // Ignore les types non supportés
-    if (!['movie', 'series', 'other'].includes(type)) {
-        return { streams: [] };
+/**
+ * URL signée d'un stream "Torbox Instant"
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} hash - Infohash (hex)
+ * @param {string|null} fileName - Fichier choisi (null : le plus gros fichier vidéo)
+ * @returns {string}
+ */
+function buildInstantUrl(user, hash, fileName) {
+    const expires = Date.now() + INSTANT_LINK_TTL;
+    const query = new URLSearchParams();
+    if (fileName) query.set('file', fileName);
+    query.set('expires', String(expires));
+    query.set('sig', signInstantLink(user, hash, fileName, expires));
+    return `${getPublicUrl()}/instant/${user.id}/${hash}?${query.toString()}`;
+}
+
+/**
+ * Vérifie la signature et l'expiration d'un lien /instant
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} hash - Infohash (hex)
+ * @param {string|null} fileName
+ * @param {Object} query - Paramètres de l'URL (expires, sig)
+ * @returns {boolean}
+ */
+function verifyInstantLink(user, hash, fileName, query) {
+    const expires = parseInt(query.expires, 10);
+    if (!expires || expires < Date.now() || typeof query.sig !== 'string') return false;
+
+    const expected = Buffer.from(signInstantLink(user, hash, fileName, expires));
+    const received = Buffer.from(query.sig);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Streams "Torbox Instant" : releases trouvées sur l'indexeur et déjà en cache Torbox
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} query - { imdbId, type, season, episode }
+ * @returns {Promise<Array>}
+ */
+async function getInstantStreams(user, query) {
+    const { season, episode } = query;
+    const isEpisode = season !== null && episode !== null;
+
+    // Les torrents déjà dans la bibliothèque ont leurs propres streams
+    const libraryHashes = new Set();
+    user.torrentsCache.forEach(t => t.hash && libraryHashes.add(t.hash.toLowerCase()));
+
+    const results = await searchTorznab(
+        { url: user.settings.indexerUrl, apiKey: user.settings.indexerApiKey },
+        { ...query, type: isEpisode ? 'series' : 'movie' }
+    );
+    const candidates = results.filter(r => !libraryHashes.has(r.hash)).slice(0, INSTANT_MAX_HASHES);
+
+    console.log(`[TorboxInstant] ${results.length} résultat(s) indexeur, ${candidates.length} à vérifier`);
+
+    const cachedByHash = new Map();
+    (await checkTorboxCached(user, candidates.map(c => c.hash)))
+        .forEach(item => item && item.hash && cachedByHash.set(item.hash.toLowerCase(), item));
+
+    const streams = [];
+    for (const candidate of candidates) {
+        const cached = cachedByHash.get(candidate.hash);
+        if (!cached) continue;
+
+        const release = { name: cached.name || candidate.title, files: cached.files || [] };
+        const videoFiles = release.files.filter(file => isVideoFile(file.name));
+
+        let files;
+        if (isEpisode) {
+            files = findEpisodeFiles(release, season, episode);
+            if (!files) continue;
+        } else {
+            // Film : le plus gros fichier vidéo
+            files = videoFiles.sort((a, b) => (b.size || 0) - (a.size || 0)).slice(0, 1);
+        }
+
+        const targets = files.length > 0 ? files : [null];
+        for (const file of targets) {
+            const fileName = file ? file.name : release.name;
+            const size = (file ? file.size : cached.size) || candidate.size || 0;
+            const info = file ? parseFileReleaseInfo(release, file) : parseReleaseInfo(release.name);
+
+            if (!acceptsStreamFile(user.settings, info, size)) continue;
+
+            streams.push({
+                name: '⚡ TORBOX INSTANT',
+                title: formatStreamTitle(fileName, size, info),
+                url: buildInstantUrl(user, candidate.hash, file ? file.name : null),
+                behaviorHints: buildStreamHints(fileName, size, info),
+                _sort: { info, size, addedAt: 0 }
+            });
+        }
+
+        if (streams.length >= INSTANT_MAX_STREAMS) break;
     }
 
-    try {
-        const matchingTorrents = []; // Collecte TOUS les torrents qui matchent
+    console.log(`[TorboxInstant] ${streams.length} stream(s) en cache`);
+    return streams.slice(0, INSTANT_MAX_STREAMS);
+}
 
-        // Cas 1: ID fallback tb:xxx
-        if (id.startsWith('tb:')) {
-            const torrentId = id.replace('tb:', '');
-            let torrent = torrentsCache.get(torrentId);
+/**
+ * Ajoute une entrée à une liste de l'index
+ * @param {Map} map
+ * @param {string} indexKey
+ * @param {string} torrentKey
+ * @param {Object} [file] - Fichier à ajouter aux fichiers de la release (index des épisodes)
+ */
+function addIndexEntry(map, indexKey, torrentKey, file = null) {
+    if (!map.has(indexKey)) map.set(indexKey, new Map());
+    const releases = map.get(indexKey);
+    if (!releases.has(torrentKey)) releases.set(torrentKey, []);
+    if (file) releases.get(torrentKey).push(file);
+}
 
-            if (!torrent) {
-                await getTorboxTorrents();
-                torrent = torrentsCache.get(torrentId);
-            }
+/**
+ * Construit l'index IMDB → releases et fichiers de la bibliothèque d'un utilisateur
+ * Les releases sans fiche connue sont recherchées ici, une fois, et plus pendant les requêtes de streams.
+ * Mêmes règles que findEpisodeFiles : chaque fichier vidéo est rangé sous ses saisons/épisodes, quel que soit
+ * le type déduit du nom de la release. Les fichiers sans saison (animes en numérotation absolue) sont rangés
+ * à part, sous leur numéro absolu.
+ * L'index garde aussi la liste des releases (plus récentes d'abord) et les fiches trouvées, que les catalogues
+ * Films/Séries paginent et filtrent sans interroger les fournisseurs de métadonnées.
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>} { builtAt, titles, episodes, absolute, catalog, metas, kitsuChecked }
+ *   titles : imdbId → Map(clé → []), episodes : 'imdbId:saison:épisode' → Map(clé → fichiers),
+ *   absolute : 'imdbId:épisode absolu' → Map(clé → fichiers),
+ *   catalog : [{ item, parsed, type, imdbId }] (imdbId null sans fiche), metas : imdbId → fiche,
+ *   kitsuChecked : IDs Kitsu déjà comparés aux releases sans fiche (voir matchKitsuReleases)
+ */
+async function buildLibraryIndex(user) {
+    const startedAt = Date.now();
+    const library = await getTorboxLibrary(user);
+    const titles = new Map();
+    const episodes = new Map();
+    const absolute = new Map();
+    const catalog = [];
+    const metas = new Map();
+
+    /**
+     * Range une release (ou un de ses fichiers) sous ses épisodes
+     * @param {string} imdbId
+     * @param {Object} info - { seasons, episodes }
+     * @param {string} key - Clé de la release
+     * @param {Object} [file]
+     */
+    const addEpisodes = (imdbId, info, key, file = null) => {
+        if (info.seasons.length === 0) {
+            info.episodes.forEach(episode => addIndexEntry(absolute, `${imdbId}:${episode}`, key, file));
+            return;
+        }
+        info.seasons.forEach(season => info.episodes.forEach(episode =>
+            addIndexEntry(episodes, `${imdbId}:${season}:${episode}`, key, file)
+        ));
+    };
 
-            if (torrent) {
-                matchingTorrents.push(torrent);
+    // Plus récents d'abord (date de mise à jour), l'ordre des catalogues
+    const sorted = [...library].sort((a, b) => {
+        const dateA = parseDate(a.updated_at) || parseDate(a.created_at) || new Date(0);
+        const dateB = parseDate(b.updated_at) || parseDate(b.created_at) || new Date(0);
+        return dateB.getTime() - dateA.getTime();
+    });
+
+    for (const item of sorted) {
+        const parsed = parseTorrentName(item.name || '');
+        const type = getLibraryItemType(item, parsed);
+
+        let imdbId = item._imdbId;
+        let metadataResult = null;
+        if (!imdbId && !item._matchOverride) {
+            metadataResult = await getLibraryItemMetadata(user, item, parsed);
+            if (metadataResult) {
+                imdbId = metadataResult.id;
+                setImdbMapping(user, item, imdbId);
             }
         }
-        // Cas 2: IMDB ID tt... (film ou épisode)
-        else if (id.startsWith('tt')) {
-            await getTorboxTorrents(); // Recharge pour être sûr
 
-            // Parse l'ID pour détecter si c'est un épisode (tt1234567:1:3)
-            const idParts = id.split(':');
-            const imdbId = idParts[0];
-            const season = idParts[1] ? parseInt(idParts[1]) : null;
-            const episode = idParts[2] ? parseInt(idParts[2]) : null;
+        catalog.push({ item, parsed, type, imdbId: imdbId || null });
+        if (!imdbId) continue;
 
-            const isEpisode = season !== null && episode !== null;
+        // Fiche complète (genres compris) : en cache chez les fournisseurs après la première reconstruction
+        if (!metas.has(imdbId)) {
+            metas.set(imdbId, (await getMetadata(user, type, imdbId)) || metadataResult);
+        }
 
-            if (isEpisode) {
-                console.log(`[TorboxStream] Recherche épisode: ${imdbId} S${season}E${episode}`);
-            } else {
-                console.log(`[TorboxStream] Recherche film: ${imdbId}`);
-            }
+        addIndexEntry(titles, imdbId, item._key);
+
+        const releaseInfo = parseEpisodeInfo(item.name || '');
+        if (!item.files || item.files.length === 0) {
+            // Sans liste de fichiers : le nom de la release doit indiquer les épisodes
+            addEpisodes(imdbId, releaseInfo, item._key);
+            continue;
+        }
+
+        item.files.filter(file => isVideoFile(file.name)).forEach(file => {
+            addEpisodes(imdbId, getFileEpisodeInfo(file, releaseInfo), item._key, file);
+        });
+    }
+
+    console.log(`[LibraryIndex] ${library.length} release(s), ${titles.size} fiche(s), ${episodes.size + absolute.size} épisode(s) indexés en ${Date.now() - startedAt} ms`);
+    return { builtAt: Date.now(), titles, episodes, absolute, catalog, metas, kitsuChecked: new Set() };
+}
+
+/** Chaîne Cinemeta seule : ses fiches de séries listent les épisodes de chaque saison */
+const episodeGuide = createMetadataChain([PROVIDERS.cinemeta()], {
+    searchCache,
+    metaCache: metadataCache,
+    missTtl: SEARCH_MISS_TTL
+});
+
+/**
+ * Releases de l'index pour un épisode : rangées sous la saison/l'épisode demandés ou, pour les animes
+ * en numérotation absolue, sous le numéro absolu correspondant (calculé d'après la liste des épisodes)
+ * @param {Object} index - Index (voir buildLibraryIndex)
+ * @param {string} imdbId
+ * @param {number} season
+ * @param {number} episode
+ * @returns {Promise<Map>} clé → fichiers
+ */
+async function findIndexedEpisode(index, imdbId, season, episode) {
+    const releases = new Map(index.episodes.get(`${imdbId}:${season}:${episode}`) || []);
+
+    // Pas de fiche à télécharger si aucune release de ce titre n'est en numérotation absolue
+    const hasAbsolute = [...index.absolute.keys()].some(key => key.startsWith(`${imdbId}:`));
+    if (!hasAbsolute) return releases;
+
+    const meta = await episodeGuide.getMeta('series', imdbId);
+    const absoluteEpisode = meta ? createEpisodeNumbering(meta.videos).toAbsolute(season, episode) : null;
+    // Sans liste d'épisodes, la saison 1 suit la numérotation absolue
+    const number = absoluteEpisode || (season === 1 ? episode : null);
+    if (number) {
+        for (const [key, files] of index.absolute.get(`${imdbId}:${number}`) || []) {
+            if (!releases.has(key)) releases.set(key, files);
+        }
+    }
+    return releases;
+}
 
-            // Cherche TOUS les torrents correspondants
-            for (const [, t] of torrentsCache) {
-                const parsed = parseTorrentName(t.name);
-
-                // Pour les épisodes, vérifie que c'est la bonne série ET le bon épisode
-                if (isEpisode) {
-                    let isRightSeries = t._imdbId === imdbId;
-
-                    if (!isRightSeries) {
-                        const cinemetaResult = await searchCinemeta(parsed.title, 'series', parsed.year);
-                        if (cinemetaResult && cinemetaResult.id === imdbId) {
-                            t._imdbId = imdbId;
-                            isRightSeries = true;
-                        }
-                    }
-
-                    if (isRightSeries && parsed.season === season && parsed.episode === episode) {
-                        matchingTorrents.push(t);
-                        console.log(`[TorboxStream] Épisode trouvé: ${t.name}`);
-                        // PAS de break - on continue pour trouver d'autres qualités
-                    }
-                } else {
-                    // Pour les films
-                    let isMatch = t._imdbId === id;
-
-                    if (!isMatch) {
-                        const cinemetaResult = await searchCinemeta(parsed.title, parsed.type, parsed.year);
-                        if (cinemetaResult && cinemetaResult.id === id) {
-                            t._imdbId = id;
-                            isMatch = true;
-                        }
-                    }
-
-                    if (isMatch) {
-                        matchingTorrents.push(t);
-                        console.log(`[TorboxStream] Film trouvé: ${t.name}`);
-                        // PAS de break - on continue pour trouver d'autres qualités
-                    }
+/**
+ * Correspondance Kitsu → IMDB d'un anime (mise en cache, anime inconnu compris)
+ * @param {string} kitsuId
+ * @returns {Promise<Object|null>} Voir lib/anime fetchKitsuMapping
+ */
+async function getKitsuMapping(kitsuId) {
+    if (kitsuMappings.has(kitsuId)) return kitsuMappings.get(kitsuId);
+
+    try {
+        const mapping = await fetchKitsuMapping(kitsuId);
+        kitsuMappings.set(kitsuId, mapping, mapping ? undefined : SEARCH_MISS_TTL);
+        return mapping;
+    } catch (error) {
+        // Addon injoignable ou en erreur : on réessaiera à la prochaine requête
+        console.error(`[Kitsu] Erreur kitsu:${kitsuId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Reconstruit l'index d'un utilisateur (une reconstruction déjà en cours est réutilisée)
+ * Une reconstruction commencée avant une invalidation n'est pas conservée : elle lisait l'ancienne bibliothèque.
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>} Index (voir buildLibraryIndex)
+ */
+function refreshLibraryIndex(user) {
+    if (!libraryIndexBuilds.has(user.id)) {
+        const generation = libraryIndexGenerations.get(user.id) || 0;
+        const build = buildLibraryIndex(user)
+            .then(index => {
+                if ((libraryIndexGenerations.get(user.id) || 0) === generation) {
+                    libraryIndexes.set(user.id, index);
                 }
+                return index;
+            })
+            .finally(() => {
+                if (libraryIndexBuilds.get(user.id) === build) libraryIndexBuilds.delete(user.id);
+            });
+        libraryIndexBuilds.set(user.id, build);
+    }
+    return libraryIndexBuilds.get(user.id);
+}
+
+/**
+ * Index d'un utilisateur, reconstruit seulement s'il est absent ou trop ancien
+ * @param {Object} user - Contexte utilisateur
+ * @returns {Promise<Object>}
+ */
+async function getLibraryIndex(user) {
+    const index = libraryIndexes.get(user.id);
+    if (index && Date.now() - index.builtAt < LIBRARY_INDEX_MAX_AGE) {
+        return index;
+    }
+    return refreshLibraryIndex(user);
+}
+
+/**
+ * Marque l'index d'un utilisateur comme périmé (torrent ajouté, correction manuelle)
+ * La reconstruction en cours est écartée : la prochaine demande en relance une.
+ * @param {Object} user - Contexte utilisateur
+ */
+function invalidateLibraryIndex(user) {
+    libraryIndexGenerations.set(user.id, (libraryIndexGenerations.get(user.id) || 0) + 1);
+    libraryIndexBuilds.delete(user.id);
+
+    const index = libraryIndexes.get(user.id);
+    if (index) index.builtAt = 0;
+}
+
+/**
+ * Rafraîchit l'index des comptes actifs, l'un après l'autre (appelé toutes les LIBRARY_REFRESH_INTERVAL)
+ * @returns {Promise<void>}
+ */
+async function refreshActiveLibraries() {
+    for (const [userId, shared] of userContexts) {
+        if (!shared.lastSeenAt || Date.now() - shared.lastSeenAt > LIBRARY_ACTIVE_USER_TTL) continue;
+        if (!shared.acceptedAt) continue; // Clé jamais acceptée par Torbox : rien à rafraîchir
+
+        try {
+            await refreshLibraryIndex(getKnownUserContext(userId));
+        } catch (error) {
+            console.error(`[LibraryIndex] Erreur (${userId}):`, error.message);
+        }
+    }
+}
+
+/**
+ * Rattache à un anime Kitsu les releases de l'index restées sans fiche, d'après les titres de l'addon Kitsu
+ * (voir lib/anime matchesKitsuAnime). Les releases rattachées gardent cet IMDB ID (imdbMappings) et l'index
+ * est reconstruit pour les y ranger ; chaque ID Kitsu n'est comparé qu'une fois par index.
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} index - Index (voir buildLibraryIndex)
+ * @param {string} kitsuId
+ * @returns {Promise<Object>} Index à utiliser
+ */
+async function matchKitsuReleases(user, index, kitsuId) {
+    if (index.kitsuChecked.has(kitsuId)) return index;
+    index.kitsuChecked.add(kitsuId);
+
+    const mapping = await getKitsuMapping(kitsuId);
+    if (!mapping) return index;
+
+    const threshold = user.settings.matchThreshold / 100;
+    const matched = index.catalog.filter(({ item, parsed, type, imdbId }) =>
+        !imdbId && !item._matchOverride
+        && matchesKitsuAnime(mapping, { title: parsed.title, year: parsed.year, type }, threshold)
+    );
+    if (matched.length === 0) return index;
+
+    matched.forEach(({ item }) => {
+        console.log(`[Kitsu] ${item.name} rattaché à kitsu:${kitsuId} (${mapping.imdbId})`);
+        setImdbMapping(user, item, mapping.imdbId);
+    });
+    invalidateLibraryIndex(user);
+    return getLibraryIndex(user);
+}
+
+/**
+ * Ramène un ID Stremio de film ou d'épisode à son IMDB ID et à la numérotation IMDB
+ * Les épisodes Kitsu (`kitsu:<id>:<épisode>`) sont convertis via l'addon anime-kitsu ;
+ * sans correspondance d'épisode, l'épisode Kitsu est pris comme épisode de la saison 1.
+ * @param {string} id - tt..., tt...:<saison>:<épisode>, kitsu:<id> ou kitsu:<id>:<épisode>
+ * @returns {Promise<Object|null>} { imdbId, season, episode } (null, null pour un film), ou null si non rattaché à IMDB
+ */
+async function parseMediaId(id) {
+    const parts = id.split(':');
+
+    if (parts[0] !== 'kitsu') {
+        return {
+            imdbId: parts[0],
+            season: parts[1] ? parseInt(parts[1]) : null,
+            episode: parts[2] ? parseInt(parts[2]) : null
+        };
+    }
+
+    const mapping = await getKitsuMapping(parts[1]);
+    if (!mapping) return null;
+    if (!parts[2] || mapping.type === 'movie') {
+        return { imdbId: mapping.imdbId, season: null, episode: null };
+    }
+
+    const kitsuEpisode = parseInt(parts[2]);
+    const target = mapping.episodes[kitsuEpisode] || { season: 1, episode: kitsuEpisode };
+    return { imdbId: mapping.imdbId, season: target.season, episode: target.episode };
+}
+
+/**
+ * Cherche dans la bibliothèque les releases correspondant à un ID Stremio
+ * Partagé par les handlers de streams et de sous-titres.
+ * @param {Object} user - Contexte utilisateur
+ * @param {string} id - ID Stremio (tb:<clé>, tb:<clé>:<fileId>, tt..., tt...:<saison>:<épisode>, kitsu:<id>[:<épisode>])
+ * @returns {Promise<Object>} { matchingTorrents, matchingFiles, instantQuery }
+ *   matchingFiles : torrent._key → fichiers de l'épisode (ou de la vidéo) demandé
+ */
+async function findMatchingTorrents(user, id) {
+    const matchingTorrents = []; // Collecte TOUS les torrents qui matchent
+    const matchingFiles = new Map(); // torrent._key → fichiers de l'épisode demandé
+    let instantQuery = null; // Recherche "Torbox Instant" (IDs IMDB uniquement)
+
+    // Cas 1: ID fallback tb:<clé> ou vidéo d'une fiche fallback tb:<clé>:<fileId>
+    if (id.startsWith('tb:')) {
+        const [torrentId, fileId] = id.slice(3).split(':');
+        let torrent = user.torrentsCache.get(torrentId);
+
+        if (!torrent) {
+            await getTorboxLibrary(user);
+            torrent = user.torrentsCache.get(torrentId);
+        }
+
+        if (torrent && fileId !== undefined) {
+            const file = (torrent.files || []).find(f => String(f.id) === fileId);
+            if (file) {
+                matchingTorrents.push(torrent);
+                matchingFiles.set(torrent._key, [file]);
             }
+        } else if (torrent) {
+            matchingTorrents.push(torrent);
         }
+    }
+    // Cas 2: IMDB ID tt... ou Kitsu kitsu:... (film ou épisode), servi par l'index de la bibliothèque
+    else if (id.startsWith('tt') || id.startsWith('kitsu:')) {
+        const query = await parseMediaId(id);
+        if (!query) {
+            console.log(`[TorboxStream] Aucun IMDB ID pour ${id}`);
+            return { matchingTorrents, matchingFiles, instantQuery };
+        }
+
+        const { imdbId, season, episode } = query;
+        const isEpisode = season !== null && episode !== null;
+        instantQuery = query;
+
+        if (isEpisode) {
+            console.log(`[TorboxStream] Recherche épisode: ${imdbId} S${season}E${episode}`);
+        } else {
+            console.log(`[TorboxStream] Recherche film: ${imdbId}`);
+        }
+
+        // TOUS les torrents correspondants (plusieurs qualités possibles)
+        let index = await getLibraryIndex(user);
+        if (id.startsWith('kitsu:')) {
+            index = await matchKitsuReleases(user, index, id.split(':')[1]);
+        }
+        const releases = (isEpisode ? await findIndexedEpisode(index, imdbId, season, episode) : index.titles.get(imdbId)) || new Map();
+        for (const [key, files] of releases) {
+            const t = user.torrentsCache.get(key);
+            if (!t) continue; // Supprimé depuis la construction de l'index
+
+            matchingTorrents.push(t);
+            if (isEpisode) matchingFiles.set(key, files);
+            console.log(`[TorboxStream] ${isEpisode ? 'Épisode' : 'Film'} trouvé: ${t.name}`);
+        }
+    }
+
+    return { matchingTorrents, matchingFiles, instantQuery };
+}
+
+/**
+ * Handler de stream - Lance un film/série depuis Torbox
+ * Retourne TOUS les torrents correspondants (multi-qualités)
+ */
+builder.defineStreamHandler(async ({ type, id, config }) => {
+    const user = getUserContext(config);
+    console.log(`[TorboxStream] Demande de stream: type=${type}, id=${id}`);
+
+    // Ignore les types non supportés
+    if (!['movie', 'series', 'anime', 'other'].includes(type)) {
+        return { streams: [] };
+    }
+
+    try {
+        const { matchingTorrents, matchingFiles, instantQuery } = await findMatchingTorrents(user, id);
 
         if (matchingTorrents.length === 0) {
             console.log('[TorboxStream] Aucun torrent trouvé pour cet ID');
-            return { streams: [] };
+        } else {
+            console.log(`[TorboxStream] ${matchingTorrents.length} torrent(s) trouvé(s)`);
         }
 
-        console.log(`[TorboxStream] ${matchingTorrents.length} torrent(s) trouvé(s)`);
-
-        // Génère les streams pour TOUS les torrents
-        const allStreams = [];
+        // Génère les streams pour TOUS les torrents, triés selon les préférences
+        const libraryStreams = [];
         for (const torrent of matchingTorrents) {
-            const streams = await generateStreamsForTorrent(torrent);
-            allStreams.push(...streams);
+            const streams = await generateStreamsForTorrent(user, torrent, matchingFiles.get(torrent._key));
+            libraryStreams.push(...streams);
+        }
+        const allStreams = sortStreams(user.settings, libraryStreams);
+
+        // Mode Instant : complète avec les releases en cache Torbox, après celles de la bibliothèque
+        // (une erreur d'indexeur n'empêche pas le reste)
+        if (instantQuery && user.settings.enableInstant && user.settings.indexerUrl) {
+            try {
+                allStreams.push(...sortStreams(user.settings, await getInstantStreams(user, instantQuery)));
+            } catch (error) {
+                console.error('[TorboxInstant] Erreur:', error.message);
+            }
         }
 
         console.log(`[TorboxStream] ${allStreams.length} stream(s) disponible(s)`);
@@ -877,17 +2654,108 @@ builder.defineStreamHandler(async ({ type, id }) => {
 
     } catch (error) {
         console.error('[TorboxStream] Erreur:', error.message);
+
+        // Erreur Torbox : un stream informatif (non lisible) explique le problème sur la fiche
+        if (error instanceof TorboxError) {
+            return {
+                streams: [{
+                    name: '⚠️ TORBOX',
+                    title: describeTorboxError(error, user.t),
+                    externalUrl: 'https://torbox.app/dashboard'
+                }]
+            };
+        }
         return { streams: [] };
     }
 });
 
+/**
+ * Fichiers de sous-titres d'une release qui accompagnent les vidéos demandées
+ * Dans un pack, seuls les sous-titres du même épisode (ou au nom de la vidéo) sont gardés.
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @param {Array} [videoFiles] - Vidéos demandées (absent : toute la release)
+ * @returns {Array} Fichiers de sous-titres
+ */
+function findSubtitleFiles(torrent, videoFiles) {
+    const files = torrent.files || [];
+    const subtitles = files.filter(file => isSubtitleFile(file.name));
+    const videoCount = files.filter(file => isVideoFile(file.name)).length;
+
+    // Film ou release d'une seule vidéo : tous les sous-titres vont avec
+    if (!videoFiles || videoFiles.length === 0 || videoCount <= videoFiles.length) {
+        return subtitles;
+    }
+
+    const releaseInfo = parseEpisodeInfo(torrent.name || '');
+    const stem = name => name.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
+
+    return subtitles.filter(subtitle => {
+        let info = getFileEpisodeInfo(subtitle, releaseInfo);
+        // Sous-titres rangés dans un dossier au nom de l'épisode (ex: "Subs/Show.S01E02/2_English.srt")
+        if (info.episodes.length === 0) {
+            info = parseEpisodeInfo(subtitle.name.replace(/\//g, ' '));
+        }
+
+        return videoFiles.some(video => {
+            if (stem(subtitle.name).startsWith(stem(video.name))) return true;
+
+            const videoInfo = getFileEpisodeInfo(video, releaseInfo);
+            return info.episodes.some(episode => videoInfo.episodes.includes(episode))
+                && info.seasons.some(season => videoInfo.seasons.includes(season));
+        });
+    });
+}
+
+/**
+ * Handler de sous-titres - Sous-titres présents dans les releases de la bibliothèque
+ * Les fichiers passent par /sub, qui les convertit au besoin (ASS/SSA → SRT, encodage → UTF-8).
+ */
+builder.defineSubtitlesHandler(async ({ type, id, extra, config }) => {
+    const user = getUserContext(config);
+
+    if (!['movie', 'series', 'anime', 'other'].includes(type)) {
+        return { subtitles: [] };
+    }
+
+    try {
+        let { matchingTorrents, matchingFiles } = await findMatchingTorrents(user, id);
+
+        // Stremio indique le fichier lu : on privilégie la release qui le contient
+        if (extra && extra.filename) {
+            const playing = matchingTorrents.filter(torrent =>
+                (torrent.files || []).some(file => file.name.split('/').pop() === extra.filename)
+            );
+            if (playing.length > 0) matchingTorrents = playing;
+        }
+
+        const subtitles = [];
+        for (const torrent of matchingTorrents) {
+            findSubtitleFiles(torrent, matchingFiles.get(torrent._key)).forEach(file => {
+                const extension = file.name.toLowerCase().endsWith('.vtt') ? 'vtt' : 'srt';
+                subtitles.push({
+                    id: `${torrent._key}:${file.id}`,
+                    url: `${getPublicUrl()}/sub/${user.id}/${torrent._key}/${file.id}.${extension}`,
+                    lang: guessSubtitleLanguage(file.name).lang
+                });
+            });
+        }
+
+        console.log(`[TorboxSubtitles] ${subtitles.length} sous-titre(s) pour ${id}`);
+        return { subtitles };
+    } catch (error) {
+        console.error('[TorboxSubtitles] Erreur:', error.message);
+        return { subtitles: [] };
+    }
+});
+
 // Serveur Express
 const app = express();
+app.set('trust proxy', true); // req.protocol d'après X-Forwarded-Proto (Render, reverse proxy)
 
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Headers', '*');
-    next();
+    requestContext.run({ baseUrl: `${req.protocol}://${req.get('host')}` }, next);
 });
 
 // Route de santé
@@ -895,19 +2763,634 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', addon: 'torbox-status' });
 });
 
+/**
+ * Posters et fonds des cartes de stats, téléchargements et fiches `tb:` (voir generatePoster)
+ * Le contenu dépend uniquement de l'URL : les clients peuvent le garder en cache.
+ */
+app.get('/poster.:format(svg|png)', (req, res) => {
+    const { emoji = '', value = '', color, progress, inverted, layout } = req.query;
+    const details = [].concat(req.query.details || []);
+    const options = {
+        emoji: String(emoji),
+        value: String(value),
+        color: normalizeColor(color),
+        progress: progress !== undefined ? parseFloat(progress) : undefined,
+        inverted: inverted === '1',
+        details: details.map(String),
+        layout: layout === 'background' ? 'background' : 'poster'
+    };
+
+    res.set('Cache-Control', 'public, max-age=86400');
+
+    if (req.params.format === 'png') {
+        if (!isPngAvailable()) {
+            return res.status(404).send('Rendu PNG indisponible : installe @resvg/resvg-js ou utilise /poster.svg');
+        }
+        return res.type('image/png').send(renderPosterPng(options));
+    }
+
+    res.type('image/svg+xml').send(renderPosterSvg(options));
+});
+
+/**
+ * Code HTTP correspondant à une erreur Torbox
+ * @param {Error} error
+ * @returns {number}
+ */
+function torboxErrorStatus(error) {
+    if (error instanceof TorboxAuthError) return 401;
+    if (error instanceof TorboxNotFoundError) return 404;
+    if (error instanceof TorboxRateLimitError) return 429;
+    if (error instanceof TorboxError) return 502;
+    return 500;
+}
+
+/**
+ * Authentifie une route /api avec la clé API Torbox (header Authorization: Bearer)
+ * La clé est celle utilisée dans l'addon : c'est Torbox qui la valide à chaque appel.
+ * Une clé inconnue est vérifiée auprès de Torbox avant d'ouvrir un contexte (pas de compte fantôme en mémoire).
+ */
+async function requireApiUser(req, res, next) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+        return res.status(401).json({ error: 'Clé API Torbox requise' });
+    }
+
+    const apiKey = match[1];
+    const known = getKnownUserContext(getUserId(apiKey));
+    if (known) {
+        req.user = known;
+        return next();
+    }
+
+    try {
+        await getTorboxUserInfo({ apiKey });
+    } catch (error) {
+        console.log(`[TorboxApi] Clé refusée: ${describeTorboxError(error)}`);
+        return sendApiError(res, error);
+    }
+
+    req.user = getUserContext({ apiKey, enableCatalog: true });
+    next();
+}
+
+/**
+ * Envoie une erreur JSON pour une route /api
+ * @param {Object} res - Réponse Express
+ * @param {Error} error
+ */
+function sendApiError(res, error) {
+    if (error instanceof TorboxRateLimitError && error.retryAfter) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+    }
+    res.status(torboxErrorStatus(error)).json({
+        error: error instanceof TorboxError ? describeTorboxError(error) : error.message
+    });
+}
+
+// Page d'ajout de torrents (magnet, .torrent, hash)
+app.get('/add', (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(renderAddPage());
+});
+
+// Page de gestion de la bibliothèque (suppression, reannounce, nettoyage)
+app.get('/library', (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(renderLibraryPage());
+});
+
+// Rapport des doublons
+app.get('/duplicates', (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(renderDuplicatesPage());
+});
+
+// Page des correspondances release → fiche IMDB (corrections manuelles)
+app.get('/matches', (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(renderMatchesPage());
+});
+
+app.use('/api', express.json({ limit: '10mb' }), requireApiUser);
+
+// Ajoute un torrent : { magnet } | { hash } | { torrentFile (base64), fileName }, + { name } optionnel
+app.post('/api/torrents', async (req, res) => {
+    const { magnet, hash, torrentFile, fileName, name } = req.body || {};
+    const source = { name: name ? String(name).slice(0, 200) : undefined };
+
+    if (torrentFile) {
+        source.torrentFile = Buffer.from(String(torrentFile), 'base64');
+        source.fileName = fileName ? String(fileName) : undefined;
+        if (source.torrentFile.length === 0) {
+            return res.status(400).json({ error: 'Fichier .torrent vide ou invalide' });
+        }
+    } else if (magnet && /^magnet:\?/i.test(String(magnet).trim())) {
+        source.magnet = String(magnet).trim();
+    } else if (hash && /^([a-f0-9]{40}|[a-z2-7]{32})$/i.test(String(hash).trim())) {
+        source.magnet = `magnet:?xt=urn:btih:${String(hash).trim()}`;
+    } else {
+        return res.status(400).json({ error: 'Lien magnet, hash (40 hex) ou fichier .torrent attendu' });
+    }
+
+    try {
+        const result = await createTorboxTorrent(req.user, source) || {};
+        console.log(`[TorboxAdd] Ajouté: ${result.name || result.hash || source.magnet || source.fileName}`);
+
+        res.json({
+            torrent: {
+                id: result.torrent_id || result.queued_id || null,
+                hash: result.hash || null,
+                name: result.name || source.name || null,
+                queued: !result.torrent_id && !!result.queued_id
+            }
+        });
+    } catch (error) {
+        console.error('[TorboxAdd] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Téléchargements en cours (même données que le catalogue "Téléchargements en cours")
+app.get('/api/downloads', async (req, res) => {
+    try {
+        const { t } = req.user;
+        const downloads = await getTorboxActiveDownloads(req.user);
+
+        res.json({
+            downloads: downloads.map(item => ({
+                key: item._key,
+                name: item.name || t('common.untitled'),
+                state: item._downloadState,
+                stateLabel: formatDownloadState(item._downloadState, t),
+                progress: getDownloadProgress(item),
+                speed: `${formatBytes(item.download_speed || 0)}/s`,
+                eta: formatDuration(item.eta, t),
+                size: formatBytes(item.size || 0),
+                seeds: item.seeds || 0
+            }))
+        });
+    } catch (error) {
+        console.error('[TorboxDownloads] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+/**
+ * Torrent de la bibliothèque au format de la page /library
+ * @param {Object} torrent
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {Object}
+ */
+function formatLibraryItem(torrent, t) {
+    const state = classifyDownload(torrent);
+
+    return {
+        id: torrent.id,
+        key: torrent._key,
+        name: torrent.name || t('common.untitled'),
+        state: state || 'finished',
+        stateLabel: state ? formatDownloadState(state, t) : t('download.finishedShort'),
+        progress: state ? getDownloadProgress(torrent) : 100,
+        size: formatBytes(torrent.size || 0),
+        added: formatRelativeDate(torrent.created_at, t),
+        imdbId: torrent._imdbId || null
+    };
+}
+
+// Bibliothèque de torrents (même liste que getTorboxTorrents)
+app.get('/api/library', async (req, res) => {
+    try {
+        const torrents = await getTorboxTorrents(req.user);
+        res.json({ torrents: torrents.map(torrent => formatLibraryItem(torrent, req.user.t)) });
+    } catch (error) {
+        console.error('[TorboxLibrary] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Supprime un torrent de Torbox
+app.delete('/api/torrents/:id(\\d+)', async (req, res) => {
+    try {
+        await controlTorboxTorrent(req.user, req.params.id, 'delete');
+        forgetLibraryItem(req.user, req.params.id);
+
+        console.log(`[TorboxLibrary] Supprimé: ${req.params.id}`);
+        res.json({ deleted: [req.params.id] });
+    } catch (error) {
+        console.error('[TorboxLibrary] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Relance la recherche de pairs d'un torrent (bloqué, sans seeds)
+app.post('/api/torrents/:id(\\d+)/reannounce', async (req, res) => {
+    try {
+        await controlTorboxTorrent(req.user, req.params.id, 'reannounce');
+
+        console.log(`[TorboxLibrary] Reannounce: ${req.params.id}`);
+        res.json({ reannounced: req.params.id });
+    } catch (error) {
+        console.error('[TorboxLibrary] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Nettoyage groupé : { finished: true } et/ou { errored: true }
+app.post('/api/torrents/cleanup', async (req, res) => {
+    const { finished = false, errored = false } = req.body || {};
+    if (!finished && !errored) {
+        return res.status(400).json({ error: 'Choisis les torrents à supprimer : terminés et/ou en erreur' });
+    }
+
+    try {
+        const torrents = (await getTorboxTorrents(req.user)).filter(torrent => {
+            const state = classifyDownload(torrent);
+            return (finished && state === null) || (errored && state === 'error');
+        });
+
+        // Une suppression à la fois : le client Torbox limite déjà la concurrence, inutile de saturer la file
+        const deleted = [];
+        const failed = [];
+        for (const torrent of torrents) {
+            try {
+                await controlTorboxTorrent(req.user, torrent.id, 'delete');
+                forgetLibraryItem(req.user, torrent._key);
+                deleted.push(torrent._key);
+            } catch (error) {
+                if (error instanceof TorboxAuthError) throw error;
+                failed.push({ key: torrent._key, name: torrent.name, error: describeTorboxError(error) });
+            }
+        }
+
+        console.log(`[TorboxLibrary] Nettoyage: ${deleted.length} supprimé(s), ${failed.length} échec(s)`);
+        res.json({ deleted, failed });
+    } catch (error) {
+        console.error('[TorboxLibrary] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Rapport des doublons (même données que le catalogue "Doublons")
+app.get('/api/duplicates', async (req, res) => {
+    try {
+        res.json(await buildDuplicatesReport(req.user));
+    } catch (error) {
+        console.error('[TorboxDuplicates] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+/**
+ * Ligne de la page des correspondances : release analysée et fiche actuelle
+ * @param {Object} user - Contexte utilisateur
+ * @param {Object} item - Élément de la bibliothèque
+ * @returns {Promise<Object>}
+ */
+async function formatMatchItem(user, item) {
+    const parsed = parseTorrentName(item.name || '');
+    const override = item._matchOverride;
+    const metadataResult = await getLibraryItemMetadata(user, item, parsed);
+    if (metadataResult && !item._imdbId) {
+        setImdbMapping(user, item, metadataResult.id);
+    }
+
+    // Un ancien mapping peut différer du résultat de recherche actuel : il reste celui utilisé par les streams
+    const imdbId = item._imdbId || null;
+    const sameMatch = metadataResult && metadataResult.id === imdbId;
+
+    return {
+        key: item._key,
+        name: item.name || user.t('common.untitled'),
+        source: item._source,
+        parsed: { title: parsed.title, year: parsed.year || null, type: getLibraryItemType(item, parsed) },
+        status: override ? (override.ignore ? 'ignored' : 'manual') : (imdbId ? 'auto' : 'none'),
+        imdbId,
+        title: sameMatch ? metadataResult.name : null,
+        score: sameMatch && !override ? metadataResult.score : null
+    };
+}
+
+// Correspondances de toute la bibliothèque (release analysée, fiche IMDB, correction éventuelle)
+app.get('/api/matches', async (req, res) => {
+    try {
+        const library = await getTorboxLibrary(req.user);
+        const items = [];
+        // Une à la fois : les recherches passent par les fournisseurs de métadonnées (et leur cache)
+        for (const item of library) {
+            items.push(await formatMatchItem(req.user, item));
+        }
+        res.json({ items });
+    } catch (error) {
+        console.error('[TorboxMatch] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Corrige la fiche d'une release : { imdbId, type } ou { ignore: true }
+app.put('/api/matches/:torrentKey', async (req, res) => {
+    const { imdbId, type, ignore = false } = req.body || {};
+    const cleanImdbId = String(imdbId || '').trim();
+    if (!ignore && !/^tt\d+$/.test(cleanImdbId)) {
+        return res.status(400).json({ error: 'IMDB ID invalide (ex: tt1375666)' });
+    }
+    if (type && !['movie', 'series'].includes(type)) {
+        return res.status(400).json({ error: 'Type invalide (movie ou series)' });
+    }
+
+    try {
+        const library = await getTorboxLibrary(req.user);
+        const item = library.find(entry => entry._key === req.params.torrentKey);
+        if (!item) {
+            return res.status(404).json({ error: 'Release introuvable dans la bibliothèque' });
+        }
+
+        setMatchOverride(req.user, item, ignore
+            ? { ignore: true }
+            : { imdbId: cleanImdbId, type: type || getReleaseType(item, parseTorrentName(item.name || '')) });
+
+        console.log(`[TorboxMatch] Correction: ${item.name} → ${ignore ? 'ignoré' : cleanImdbId}`);
+        res.json(await formatMatchItem(req.user, item));
+    } catch (error) {
+        console.error('[TorboxMatch] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Retire la correction d'une release : elle est de nouveau reconnue par recherche
+app.delete('/api/matches/:torrentKey', async (req, res) => {
+    try {
+        const library = await getTorboxLibrary(req.user);
+        const item = library.find(entry => entry._key === req.params.torrentKey);
+        if (!item) {
+            return res.status(404).json({ error: 'Release introuvable dans la bibliothèque' });
+        }
+
+        setMatchOverride(req.user, item, null);
+
+        console.log(`[TorboxMatch] Correction retirée: ${item.name}`);
+        res.json(await formatMatchItem(req.user, item));
+    } catch (error) {
+        console.error('[TorboxMatch] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Candidats et scores de la recherche de métadonnées d'une release (pour comprendre une mauvaise fiche)
+app.get('/api/match/:torrentKey', async (req, res) => {
+    try {
+        const library = await getTorboxLibrary(req.user);
+        const torrent = library.find(item => item._key === req.params.torrentKey);
+        if (!torrent) {
+            return res.status(404).json({ error: 'Release introuvable dans la bibliothèque' });
+        }
+
+        const parsed = parseTorrentName(torrent.name || '');
+        const type = getReleaseType(torrent, parsed);
+        const chain = getMetadataChain(req.user);
+        res.json({
+            key: torrent._key,
+            name: torrent.name,
+            parsed: { title: parsed.title, year: parsed.year || null, type },
+            threshold: req.user.settings.matchThreshold / 100,
+            override: torrent._matchOverride,
+            match: await searchMetadata(req.user, parsed.title, type, parsed.year),
+            providers: await chain.explain(parsed.title, type, parsed.year)
+        });
+    } catch (error) {
+        console.error('[TorboxMatch] Erreur:', error.message);
+        sendApiError(res, error);
+    }
+});
+
+// Envoie une notification de test à toutes les cibles (réservé au compte TORBOX_API_KEY)
+app.post('/api/notifications/test', async (req, res) => {
+    if (!ENV_DEFAULTS.apiKey || req.user.id !== getUserId(ENV_DEFAULTS.apiKey)) {
+        return res.status(403).json({ error: 'Notifications réservées au compte configuré sur le serveur (TORBOX_API_KEY)' });
+    }
+    if (NOTIFY_TARGETS.length === 0) {
+        return res.status(400).json({ error: 'Aucune cible de notification configurée (NOTIFY_WEBHOOK_URLS, NOTIFY_NTFY_URLS, NOTIFY_DISCORD_URLS)' });
+    }
+
+    // Même langue que les notifications de la surveillance (LOCALE du serveur)
+    const t = createTranslator(ENV_DEFAULTS.locale);
+    const results = await notify(NOTIFY_TARGETS, {
+        type: 'test',
+        title: t('notify.testTitle'),
+        message: t('notify.test')
+    });
+    res.json({ results });
+});
+
+// Page de configuration (formulaire généré à partir de manifest.config, lib/pages)
+const configureHTML = renderConfigurePage(manifest);
+app.get(['/', '/configure', '/:config/configure'], (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(configureHTML);
+});
+
+/**
+ * Résout un lien de streaming au moment du clic puis redirige vers Torbox
+ * Le lien est gardé en cache un moment : les lecteurs rappellent souvent l'URL (seek, reprise).
+ */
+app.get('/play/:userId/:torrentKey/:fileId?', async (req, res) => {
+    const { userId, torrentKey } = req.params;
+    const fileId = req.params.fileId !== undefined ? parseInt(req.params.fileId, 10) : null;
+    const cacheKey = `${userId}:${torrentKey}:${fileId}`;
+
+    const cached = streamLinksCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return res.redirect(302, cached.url);
+    }
+
+    const user = getKnownUserContext(userId);
+    if (!user) {
+        console.log(`[TorboxPlay] Utilisateur inconnu: ${userId}`);
+        return res.status(404).send('Session inconnue : relance le stream depuis Stremio.');
+    }
+
+    try {
+        let torrent = user.torrentsCache.get(torrentKey);
+        if (!torrent) {
+            await getTorboxLibrary(user);
+            torrent = user.torrentsCache.get(torrentKey);
+        }
+
+        if (!torrent) {
+            console.log(`[TorboxPlay] Torrent introuvable: ${torrentKey}`);
+            return res.status(404).send('Fichier introuvable dans ta bibliothèque Torbox.');
+        }
+
+        const url = await getTorboxStreamLink(user, torrent, fileId);
+        streamLinksCache.set(cacheKey, { url, expiresAt: Date.now() + STREAM_LINK_TTL });
+
+        console.log(`[TorboxPlay] Lien résolu: ${torrent.name}${fileId !== null ? ` (fichier ${fileId})` : ''}`);
+        res.redirect(302, url);
+    } catch (error) {
+        console.error('[TorboxPlay] Erreur:', error.message);
+
+        if (error instanceof TorboxRateLimitError && error.retryAfter) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+        }
+
+        res.status(torboxErrorStatus(error)).send(`Impossible d'obtenir le lien Torbox: ${describeTorboxError(error)}`);
+    }
+});
+
+/**
+ * Sous-titres d'une release : télécharge le fichier depuis Torbox et le renvoie en SRT/WebVTT UTF-8
+ * (Stremio ne lit pas l'ASS et affiche mal les SRT en Latin-1)
+ */
+app.get('/sub/:userId/:torrentKey/:fileId(\\d+).:extension(srt|vtt)', async (req, res) => {
+    const { userId, torrentKey } = req.params;
+    const fileId = parseInt(req.params.fileId, 10);
+    const cacheKey = `${userId}:${torrentKey}:${fileId}`;
+
+    const user = getKnownUserContext(userId);
+    if (!user) {
+        return res.status(404).send('Session inconnue : relance la lecture depuis Stremio.');
+    }
+
+    try {
+        let torrent = user.torrentsCache.get(torrentKey);
+        if (!torrent) {
+            await getTorboxLibrary(user);
+            torrent = user.torrentsCache.get(torrentKey);
+        }
+
+        const file = torrent && (torrent.files || []).find(f => f.id === fileId);
+        if (!file || !isSubtitleFile(file.name)) {
+            return res.status(404).send('Sous-titres introuvables dans ta bibliothèque Torbox.');
+        }
+
+        const cached = streamLinksCache.get(cacheKey);
+        const url = cached && cached.expiresAt > Date.now()
+            ? cached.url
+            : await getTorboxStreamLink(user, torrent, fileId);
+        streamLinksCache.set(cacheKey, { url, expiresAt: Date.now() + STREAM_LINK_TTL });
+
+        const response = await fetch(url, { timeout: 15000, size: MAX_SUBTITLE_SIZE });
+        if (!response.ok) {
+            throw new Error(`Téléchargement des sous-titres: HTTP ${response.status}`);
+        }
+
+        const subtitle = convertSubtitle(await response.buffer(), file.name);
+        console.log(`[TorboxSubtitles] Servi: ${file.name} (${subtitle.format})`);
+        res.type(subtitle.contentType).send(subtitle.text);
+    } catch (error) {
+        console.error('[TorboxSubtitles] Erreur:', error.message);
+
+        if (error instanceof TorboxRateLimitError && error.retryAfter) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+        }
+        res.status(torboxErrorStatus(error)).send(`Impossible d'obtenir les sous-titres: ${describeTorboxError(error)}`);
+    }
+});
+
+/**
+ * Stream "Torbox Instant" : ajoute le torrent en cache à la bibliothèque puis redirige vers le fichier
+ * GET avec effet de bord : le lien est signé et expire (buildInstantUrl), et l'ajout réutilise le torrent
+ * s'il est déjà dans la bibliothèque. Un lecteur ou un service qui précharge l'URL d'un stream proposé
+ * ajoute quand même le torrent au compte.
+ */
+app.get('/instant/:userId/:hash', async (req, res) => {
+    const { userId } = req.params;
+    const hash = normalizeInfoHash(req.params.hash); // 40 hex ou 32 base32
+    const fileName = req.query.file ? String(req.query.file) : null;
+    const cacheKey = `${userId}:instant:${hash}:${fileName}`;
+
+    if (!hash) {
+        return res.status(400).send('Hash invalide');
+    }
+
+    const user = getKnownUserContext(userId);
+    if (!user) {
+        return res.status(404).send('Session inconnue : relance le stream depuis Stremio.');
+    }
+    if (!verifyInstantLink(user, hash, fileName, req.query)) {
+        return res.status(403).send(user.t('instant.invalidLink'));
+    }
+
+    const cached = streamLinksCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return res.redirect(302, cached.url);
+    }
+
+    try {
+        const torrent = await addCachedTorrent(user, hash);
+
+        // Retrouve le fichier choisi (les chemins peuvent différer entre checkcached et mylist)
+        const baseName = name => name.split('/').pop();
+        const file = fileName
+            ? torrent.files.find(f => f.name === fileName) || torrent.files.find(f => baseName(f.name) === baseName(fileName))
+            : torrent.files.filter(f => isVideoFile(f.name)).sort((a, b) => (b.size || 0) - (a.size || 0))[0];
+
+        const url = await getTorboxStreamLink(user, torrent, file ? file.id : null);
+        streamLinksCache.set(cacheKey, { url, expiresAt: Date.now() + STREAM_LINK_TTL });
+
+        console.log(`[TorboxInstant] Ajouté et lancé: ${torrent.name}${file ? ` (${file.name})` : ''}`);
+        res.redirect(302, url);
+    } catch (error) {
+        console.error('[TorboxInstant] Erreur:', error.message);
+
+        if (error instanceof TorboxRateLimitError && error.retryAfter) {
+            res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+        }
+        res.status(torboxErrorStatus(error)).send(user.t('instant.failed', { reason: describeTorboxError(error, user.t) }));
+    }
+});
+
+/**
+ * Sert le manifest adapté à la config de l'utilisateur
+ * (le routeur du SDK renverrait toujours le même, catalogues compris)
+ */
+function serveManifest(rawConfig, res) {
+    const settings = parseUserConfig(rawConfig);
+    const userManifest = buildManifest(settings);
+
+    // Sans config dans l'URL : propose le bouton "Configurer" (obligatoire si pas de clé en env)
+    if (!settings.configured) {
+        userManifest.behaviorHints = { configurable: true, configurationRequired: !settings.apiKey };
+        userManifest.config = CONFIG_FIELDS;
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(userManifest));
+}
+
+app.get('/manifest.json', (req, res) => serveManifest(null, res));
+app.get('/:config/manifest.json', (req, res) => serveManifest(decodeConfigSegment(req.params.config), res));
+
 // Monte le routeur Stremio
 app.use(getRouter(builder.getInterface()));
 
+// Écrit les caches persistants avant l'arrêt (redémarrages Render, Ctrl+C)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, () => {
+        flushStores();
+        process.exit(0);
+    });
+});
+
 app.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════╗
 ║         TORBOX STATUS ADDON                ║
 ║════════════════════════════════════════════║
 ║  Port: ${PORT}                               ║
-║  API Key: ${TORBOX_API_KEY ? '✓ Configurée' : '✗ Manquante'}                    ║
-║  Catalogs: ${ENABLE_CATALOG ? '✓ Activés' : '✗ Désactivés'}                     ║
+║  API Key (env): ${ENV_DEFAULTS.apiKey ? '✓ Configurée' : '✗ Aucune'}              ║
+║  Catalogs (env): ${ENV_DEFAULTS.enableCatalog ? '✓ Activés' : '✗ Désactivés'}               ║
 ╠════════════════════════════════════════════╣
+║  Public URL: ${PUBLIC_URL || 'hôte de chaque requête'}
+║  Data: ${DATA_DIR}
+║  Métadonnées (env): ${ENV_DEFAULTS.metadataProviders.join(' → ')}
+║  Index bibliothèque: ${LIBRARY_REFRESH_INTERVAL ? `toutes les ${LIBRARY_REFRESH_INTERVAL / 60000} min` : 'à la demande'}
+║  Notifications: ${watcher ? `${NOTIFY_TARGETS.length} cible(s), toutes les ${WATCH_INTERVAL / 60000} min` : 'désactivées'}
+║  Configure: http://localhost:${PORT}/configure
 ║  Manifest: http://localhost:${PORT}/manifest.json
 ╚════════════════════════════════════════════╝
     `);
+
+    if (watcher) watcher.start();
+    if (LIBRARY_REFRESH_INTERVAL) setInterval(refreshActiveLibraries, LIBRARY_REFRESH_INTERVAL);
 });
@@ -0,0 +1,164 @@
+/**
+ * Animes : releases en numérotation absolue et IDs Kitsu
+ *
+ * Les releases d'animes suivent rarement le format SxxEyy ("[Groupe] Titre - 137 (1080p)"),
+ * et les addons d'animes de Stremio utilisent des IDs `kitsu:<id>:<épisode>`. Ce module
+ * reconnaît ces noms, récupère la correspondance Kitsu → IMDB et les titres de l'anime (via l'addon
+ * anime-kitsu) et convertit la numérotation par saison en numérotation absolue à partir de la liste des épisodes.
+ *
+ * @module lib/anime
+ */
+
+const fetch = require('node-fetch');
+const { scoreCandidate } = require('./matching');
+
+/** Addon Stremio anime-kitsu : ses fiches donnent l'IMDB ID et la saison/l'épisode IMDB de chaque épisode Kitsu */
+const KITSU_ADDON_URL = (process.env.KITSU_ADDON_URL || 'https://anime-kitsu.strem.fun').replace(/\/+$/, '');
+
+/** Timeout d'un appel à l'addon Kitsu (ms) */
+const KITSU_TIMEOUT = 5000;
+
+/** Épisode absolu en fin de nom : "Titre - 137", "Titre - 05v2", plage "Titre - 01-28" */
+const ABSOLUTE_EPISODE_PATTERN = /\s-\s(\d{1,4})(?:v\d)?(?:\s?[-~]\s?(\d{1,4})(?:v\d)?)?(?=$|[\s[(])/;
+
+/** Année dans un nom : "(1979)", ".2010." */
+const YEAR_PATTERN = /(?:^|[\s._[(-])(?:19|20)\d{2}(?=$|[\s._\])-])/;
+
+/** Saison dans un titre d'anime : "S2", "Season 2", "2nd Season" */
+const ANIME_SEASON_PATTERN = /(?:^|\s)(?:S(\d{1,2})|Season\s?(\d{1,2})|(\d{1,2})(?:st|nd|rd|th)\s?Season)(?=$|\s)/i;
+
+/**
+ * Analyse un nom de release ou de fichier d'anime
+ * Reconnu si le nom commence par un tag de groupe ("[SubsPlease] ...") ou finit par un épisode absolu
+ * (" - 137", suivi seulement de tags entre crochets ou parenthèses). Sans tag de groupe, un nom avec une année
+ * ou du texte après le numéro est un film ("Rocky - 2 (1979)", "Mission Impossible - 7 MULTI 1080p").
+ * @param {string} name
+ * @returns {Object|null} { title, season, episodes, batch } - season null en numérotation absolue,
+ *   episodes vide pour un pack sans numéros, batch vrai pour un pack ("(Batch)", "01-28")
+ * @example
+ * parseAnimeRelease('[SubsPlease] One Piece - 1071 (1080p) [ABCD1234].mkv');
+ * // { title: 'One Piece', season: null, episodes: [1071], batch: false }
+ */
+function parseAnimeRelease(name) {
+    const hasGroupTag = /^\s*\[[^\]]+\]/.test(name || '');
+    const cleaned = String(name || '')
+        .replace(/\.(mkv|mp4|avi|webm)$/i, '')
+        .replace(/^\s*(\[[^\]]*\]\s*)+/, '') // Tags de groupe
+        .replace(/[_.]/g, ' ')
+        .replace(/\s*(\[[^\]]*\]|\([^)]*\))/g, match => (/season\s?\d|batch/i.test(match) ? ` ${match.replace(/[[\]()]/g, '')}` : '')) // Qualité, hash... (saison et batch gardés)
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s-]+/, '') // "[Site] - Titre"
+        .trim();
+
+    let absolute = ABSOLUTE_EPISODE_PATTERN.exec(cleaned);
+    if (absolute && !hasGroupTag) {
+        const rest = cleaned.slice(absolute.index + absolute[0].length).trim();
+        if (YEAR_PATTERN.test(name) || (rest && !/^batch$/i.test(rest))) absolute = null;
+    }
+    if (!hasGroupTag && !absolute) return null;
+
+    const episodes = [];
+    if (absolute) {
+        const first = parseInt(absolute[1], 10);
+        const last = absolute[2] ? parseInt(absolute[2], 10) : first;
+        for (let episode = first; episode <= last && episode - first <= 2000; episode++) episodes.push(episode);
+    }
+
+    let title = absolute ? cleaned.slice(0, absolute.index) : cleaned.replace(/\bbatch\b/i, '');
+    const season = ANIME_SEASON_PATTERN.exec(title);
+    if (season) {
+        title = title.slice(0, season.index);
+    }
+    title = title.replace(/\s-\s.*$/, '').replace(/[\s-]+$/, '').trim(); // Sous-titre ("- The Final Season")
+
+    return {
+        title: title || cleaned,
+        season: season ? parseInt(season[1] || season[2] || season[3], 10) : null,
+        episodes,
+        batch: /\bbatch\b/i.test(cleaned) || episodes.length > 1
+    };
+}
+
+/**
+ * Numérotation d'une série à partir de sa liste d'épisodes (fiche Cinemeta)
+ * Les spéciaux (saison 0) ne comptent pas dans la numérotation absolue.
+ * @param {Array} videos - Épisodes { season, episode }
+ * @returns {Object} { toAbsolute(season, episode) } - null si hors de la liste
+ */
+function createEpisodeNumbering(videos) {
+    const counts = new Map(); // saison → nombre d'épisodes
+    (videos || []).forEach(video => {
+        const season = parseInt(video.season, 10);
+        const episode = parseInt(video.episode || video.number, 10);
+        if (season > 0 && episode > 0) {
+            counts.set(season, Math.max(counts.get(season) || 0, episode));
+        }
+    });
+    const seasons = [...counts.keys()].sort((a, b) => a - b);
+
+    return {
+        toAbsolute(season, episode) {
+            if (!counts.has(season) || episode > counts.get(season)) return null;
+            const previous = seasons.filter(other => other < season)
+                .reduce((total, other) => total + counts.get(other), 0);
+            return previous + episode;
+        }
+    };
+}
+
+/**
+ * Correspondance d'un anime Kitsu avec IMDB
+ * @param {string} kitsuId - ID numérique Kitsu
+ * @returns {Promise<Object|null>} { imdbId, type, name, aliases, year, episodes: { <épisode Kitsu>: { season, episode } } },
+ *   ou null si l'addon ne connaît pas l'anime (404) ou ne le rattache à aucun IMDB ID
+ * @throws {Error} Si l'addon répond en erreur (hors 404) : rien à mettre en cache
+ */
+async function fetchKitsuMapping(kitsuId) {
+    const response = await fetch(`${KITSU_ADDON_URL}/meta/anime/kitsu:${encodeURIComponent(kitsuId)}.json`, { timeout: KITSU_TIMEOUT });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const { meta } = await response.json();
+    const videos = (meta && meta.videos) || [];
+    const imdbId = (meta && meta.imdb_id) || (videos.find(video => video.imdb_id) || {}).imdb_id;
+    if (!imdbId) return null;
+
+    const episodes = {};
+    videos.forEach(video => {
+        if (video.episode && video.imdbEpisode) {
+            episodes[video.episode] = { season: video.imdbSeason || 1, episode: video.imdbEpisode };
+        }
+    });
+
+    return {
+        imdbId,
+        type: meta.type === 'movie' ? 'movie' : 'series',
+        name: meta.name,
+        aliases: meta.aliases || [], // Titres romaji, anglais, japonais...
+        year: parseInt(meta.year || meta.releaseInfo, 10) || null,
+        episodes
+    };
+}
+
+/**
+ * Indique si une release correspond à un anime Kitsu, d'après son titre et ses alias
+ * Les releases utilisent souvent le titre romaji ("Sousou no Frieren"), trop loin du titre des fournisseurs
+ * de métadonnées ("Frieren: Beyond Journey's End") pour y être rattachées.
+ * @param {Object} mapping - Résultat de fetchKitsuMapping
+ * @param {Object} query - Release analysée { title, year, type }
+ * @param {number} threshold - Score minimal (0..1), comme pour la recherche de métadonnées
+ * @returns {boolean}
+ */
+function matchesKitsuAnime(mapping, query, threshold) {
+    const candidate = { name: mapping.name, aliases: mapping.aliases, year: mapping.year, type: mapping.type };
+    return scoreCandidate(candidate, query).score >= threshold;
+}
+
+module.exports = {
+    parseAnimeRelease,
+    createEpisodeNumbering,
+    fetchKitsuMapping,
+    matchesKitsuAnime
+};
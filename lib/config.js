@@ -0,0 +1,257 @@
+/**
+ * Configuration par utilisateur
+ *
+ * Chaque installation Stremio embarque sa propre config dans l'URL du manifest
+ * (`/:config/manifest.json`). Les variables d'environnement ne servent plus que
+ * de valeurs par défaut pour les installations sans config.
+ *
+ * @module lib/config
+ */
+
+const crypto = require('crypto');
+const { LOCALE_OPTIONS, resolveLocale } = require('./i18n');
+const { DEFAULT_MATCH_THRESHOLD } = require('./matching');
+
+/** Ordres de tri des streams : libellé du formulaire → valeur interne */
+const SORT_OPTIONS = {
+    'Qualité': 'quality',
+    'Taille': 'size',
+    'Récents': 'date'
+};
+
+/** Fournisseurs de métadonnées par défaut : TMDB d'abord s'il a une clé (meilleur sur les titres français) */
+const DEFAULT_METADATA_PROVIDERS = process.env.TMDB_API_KEY ? 'tmdb,cinemeta' : 'cinemeta';
+
+/** Ordre des résolutions par défaut */
+const DEFAULT_QUALITY_ORDER = '2160p,1080p,720p,480p';
+
+/** Valeurs par défaut issues de l'environnement */
+const ENV_DEFAULTS = {
+    apiKey: process.env.TORBOX_API_KEY || '',
+    enableCatalog: process.env.ENABLE_CATALOG !== 'false', // true par défaut
+    enableInstant: process.env.ENABLE_INSTANT === 'true', // false par défaut
+    indexerUrl: process.env.INDEXER_URL || '',
+    indexerApiKey: process.env.INDEXER_API_KEY || '',
+    qualityOrder: parseList(process.env.QUALITY_ORDER || DEFAULT_QUALITY_ORDER),
+    preferredLanguages: parseList(process.env.PREFERRED_LANGUAGES),
+    excludedCodecs: parseList(process.env.EXCLUDED_CODECS),
+    minFileSize: parseInteger(process.env.MIN_FILE_SIZE_MB, 0), // en Mo, 0 = pas de minimum
+    maxPerResolution: parseInteger(process.env.MAX_STREAMS_PER_RESOLUTION, 0), // 0 = illimité
+    sortBy: Object.values(SORT_OPTIONS).includes(process.env.STREAM_SORT) ? process.env.STREAM_SORT : 'quality',
+    locale: resolveLocale(process.env.LOCALE), // fr par défaut
+    tmdbApiKey: process.env.TMDB_API_KEY || '',
+    metadataProviders: parseProviders(process.env.METADATA_PROVIDERS || DEFAULT_METADATA_PROVIDERS),
+    matchThreshold: parsePercent(process.env.MATCH_THRESHOLD, DEFAULT_MATCH_THRESHOLD)
+};
+
+/**
+ * Champs du formulaire /configure (format manifest.config du SDK Stremio)
+ */
+const CONFIG_FIELDS = [
+    {
+        key: 'apiKey',
+        type: 'password',
+        title: 'Clé API Torbox (https://torbox.app/settings)',
+        required: true
+    },
+    {
+        key: 'enableCatalog',
+        type: 'checkbox',
+        title: 'Afficher les catalogues Torbox Status/Films/Séries',
+        default: 'checked'
+    },
+    {
+        key: 'enableInstant',
+        type: 'checkbox',
+        title: 'Streams "Torbox Instant" (contenus en cache Torbox, pas encore dans ta bibliothèque)'
+    },
+    {
+        key: 'indexerUrl',
+        type: 'text',
+        title: 'URL Torznab de l\'indexeur (Jackett/Prowlarr) pour le mode Instant'
+    },
+    {
+        key: 'indexerApiKey',
+        type: 'password',
+        title: 'Clé API de l\'indexeur (optionnel)'
+    },
+    {
+        key: 'qualityOrder',
+        type: 'text',
+        title: 'Ordre des résolutions (ex: 2160p,1080p,720p)',
+        default: DEFAULT_QUALITY_ORDER
+    },
+    {
+        key: 'preferredLanguages',
+        type: 'text',
+        title: 'Langues préférées, en premier (ex: MULTI,VFF,FRENCH)'
+    },
+    {
+        key: 'excludedCodecs',
+        type: 'text',
+        title: 'Codecs/formats exclus (ex: AV1,XviD,DV)'
+    },
+    {
+        key: 'minFileSize',
+        type: 'number',
+        title: 'Taille minimale d\'un fichier en Mo (0 = aucune, 100 conseillé pour écarter samples et bonus)',
+        default: '0'
+    },
+    {
+        key: 'maxPerResolution',
+        type: 'number',
+        title: 'Nombre maximal de streams par résolution (0 = illimité)',
+        default: '0'
+    },
+    {
+        key: 'sortBy',
+        type: 'select',
+        title: 'Tri des streams',
+        options: Object.keys(SORT_OPTIONS),
+        default: 'Qualité'
+    },
+    {
+        key: 'locale',
+        type: 'select',
+        title: 'Langue des catalogues et fiches / Catalog and meta language',
+        options: Object.keys(LOCALE_OPTIONS),
+        default: 'Français'
+    },
+    {
+        key: 'tmdbApiKey',
+        type: 'password',
+        title: 'Clé API TMDB (optionnel, meilleure reconnaissance des titres français)'
+    },
+    {
+        key: 'metadataProviders',
+        type: 'text',
+        title: 'Ordre des sources de métadonnées (ex: tmdb,cinemeta)'
+    },
+    {
+        key: 'matchThreshold',
+        type: 'number',
+        title: 'Score minimal pour reconnaître un titre, en % (en dessous : fiche Torbox)',
+        default: String(DEFAULT_MATCH_THRESHOLD)
+    }
+];
+
+/**
+ * Interprète une valeur de checkbox (formulaire "on", JSON true/"true")
+ * @param {*} value
+ * @returns {boolean}
+ */
+function parseBoolean(value) {
+    return value === true || value === 'on' || value === 'true';
+}
+
+/**
+ * Découpe une liste séparée par des virgules (ex: "2160p, 1080p") en valeurs normalisées
+ * @param {string|string[]} value
+ * @returns {string[]} Valeurs en majuscules, sans doublons ni vides
+ */
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map(item => String(item).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Découpe la liste des fournisseurs de métadonnées (ex: "TMDB, cinemeta")
+ * @param {string} value
+ * @returns {string[]} Noms en minuscules, sans doublons
+ */
+function parseProviders(value) {
+    return parseList(value).map(name => name.toLowerCase());
+}
+
+/**
+ * Interprète un entier positif (champ number du formulaire)
+ * @param {*} value
+ * @param {number} fallback - Valeur si absente ou invalide
+ * @returns {number}
+ */
+function parseInteger(value, fallback) {
+    const number = parseInt(value, 10);
+    return isNaN(number) || number < 0 ? fallback : number;
+}
+
+/**
+ * Interprète un pourcentage (0 à 100)
+ * @param {*} value
+ * @param {number} fallback - Valeur si absent ou invalide
+ * @returns {number}
+ */
+function parsePercent(value, fallback) {
+    return Math.min(100, parseInteger(value, fallback));
+}
+
+/**
+ * Normalise la config brute reçue dans l'URL
+ * Sans config (ou config invalide), retombe sur les variables d'environnement.
+ * @param {Object|false|undefined} rawConfig - Config décodée par le routeur Stremio
+ * @returns {Object} { apiKey, enableCatalog, enableInstant, indexerUrl, indexerApiKey,
+ *   qualityOrder, preferredLanguages, excludedCodecs, minFileSize, maxPerResolution, sortBy, locale,
+ *   tmdbApiKey, metadataProviders, matchThreshold, configured }
+ */
+function parseUserConfig(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== 'object' || !rawConfig.apiKey) {
+        return { ...ENV_DEFAULTS, configured: false };
+    }
+
+    return {
+        apiKey: String(rawConfig.apiKey).trim(),
+        enableCatalog: parseBoolean(rawConfig.enableCatalog),
+        enableInstant: parseBoolean(rawConfig.enableInstant),
+        // Indexeur : celui du serveur si l'utilisateur n'en précise pas
+        indexerUrl: String(rawConfig.indexerUrl || ENV_DEFAULTS.indexerUrl).trim(),
+        indexerApiKey: String(rawConfig.indexerApiKey || (rawConfig.indexerUrl ? '' : ENV_DEFAULTS.indexerApiKey)).trim(),
+        // Préférences de streams : celles du serveur pour les champs laissés vides
+        qualityOrder: rawConfig.qualityOrder ? parseList(rawConfig.qualityOrder) : ENV_DEFAULTS.qualityOrder,
+        preferredLanguages: rawConfig.preferredLanguages ? parseList(rawConfig.preferredLanguages) : ENV_DEFAULTS.preferredLanguages,
+        excludedCodecs: rawConfig.excludedCodecs ? parseList(rawConfig.excludedCodecs) : ENV_DEFAULTS.excludedCodecs,
+        minFileSize: parseInteger(rawConfig.minFileSize, ENV_DEFAULTS.minFileSize),
+        maxPerResolution: parseInteger(rawConfig.maxPerResolution, ENV_DEFAULTS.maxPerResolution),
+        sortBy: SORT_OPTIONS[rawConfig.sortBy] || ENV_DEFAULTS.sortBy,
+        locale: LOCALE_OPTIONS[rawConfig.locale] || ENV_DEFAULTS.locale,
+        // Métadonnées : sans clé TMDB propre, celle du serveur ; sans ordre précisé, TMDB d'abord si une clé existe
+        tmdbApiKey: String(rawConfig.tmdbApiKey || ENV_DEFAULTS.tmdbApiKey).trim(),
+        metadataProviders: rawConfig.metadataProviders
+            ? parseProviders(rawConfig.metadataProviders)
+            : (rawConfig.tmdbApiKey ? ['tmdb', 'cinemeta'] : ENV_DEFAULTS.metadataProviders),
+        matchThreshold: parsePercent(rawConfig.matchThreshold, ENV_DEFAULTS.matchThreshold),
+        configured: true
+    };
+}
+
+/**
+ * Décode le segment `:config` d'une URL (JSON encodé)
+ * @param {string} segment
+ * @returns {Object|false}
+ */
+function decodeConfigSegment(segment) {
+    try {
+        return JSON.parse(segment);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Identifiant stable et non réversible d'un utilisateur (hash de la clé API)
+ * Sert de clé pour les caches, sans garder la clé en clair dans les logs.
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function getUserId(apiKey) {
+    return crypto.createHash('sha256').update(apiKey || '').digest('hex').slice(0, 16);
+}
+
+module.exports = {
+    ENV_DEFAULTS,
+    CONFIG_FIELDS,
+    SORT_OPTIONS,
+    parseBoolean,
+    parseList,
+    parseUserConfig,
+    decodeConfigSegment,
+    getUserId
+};
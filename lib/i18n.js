@@ -0,0 +1,83 @@
+/**
+ * Traductions des textes affichés dans Stremio (catalogues, fiches, streams, dates)
+ *
+ * Une langue par installation (champ "Langue" de /configure), le français par défaut.
+ * Les textes sont dans lib/locales/<code>.json : une clé absente d'une langue retombe
+ * sur le français, puis sur la clé elle-même.
+ *
+ * @module lib/i18n
+ */
+
+const LOCALES = {
+    fr: require('./locales/fr.json'),
+    en: require('./locales/en.json')
+};
+
+/** Langue par défaut (installations sans config, clés manquantes) */
+const DEFAULT_LOCALE = 'fr';
+
+/** Langues proposées : libellé du formulaire → code */
+const LOCALE_OPTIONS = {
+    'Français': 'fr',
+    'English': 'en'
+};
+
+/**
+ * Ramène un code de langue à une langue disponible
+ * @param {string} [locale] - Code (ex: 'en', 'en-US', 'FR')
+ * @returns {string}
+ */
+function resolveLocale(locale) {
+    const code = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES[code] ? code : DEFAULT_LOCALE;
+}
+
+/**
+ * Cherche le texte d'une clé, avec le pluriel si la valeur est un objet { one, other }
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object} params
+ * @returns {string|undefined}
+ */
+function lookup(locale, key, params) {
+    const value = LOCALES[locale][key];
+    if (value === undefined || typeof value === 'string') return value;
+
+    const rule = typeof params.count === 'number'
+        ? new Intl.PluralRules(LOCALES[locale]._intl).select(params.count)
+        : 'other';
+    return value[rule] || value.other;
+}
+
+const translators = new Map();
+
+/**
+ * Traducteur d'une langue (mis en cache)
+ * @param {string} [locale] - Code de langue (défaut: français)
+ * @returns {Function} t(key, params) → texte, avec `t.locale` et `t.intl` (locale Intl, ex: 'fr-FR')
+ * @example
+ * const t = createTranslator('en');
+ * t('status.daysLeft', { count: 3 }); // "3 days left"
+ */
+function createTranslator(locale) {
+    const code = resolveLocale(locale);
+    if (translators.has(code)) return translators.get(code);
+
+    const t = (key, params = {}) => {
+        const text = [lookup(code, key, params), lookup(DEFAULT_LOCALE, key, params), key]
+            .find(value => value !== undefined);
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    };
+    t.locale = code;
+    t.intl = LOCALES[code]._intl;
+
+    translators.set(code, t);
+    return t;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALE_OPTIONS,
+    resolveLocale,
+    createTranslator
+};
@@ -0,0 +1,149 @@
+/**
+ * Recherche de releases sur un indexeur Torznab (Jackett, Prowlarr...)
+ *
+ * Utilisé par le mode "Torbox Instant" pour trouver des hashes à vérifier dans le
+ * cache Torbox. N'importe quel service qui répond au format Torznab convient,
+ * y compris un faux indexeur local pour les tests.
+ *
+ * @module lib/indexer
+ */
+
+const fetch = require('node-fetch');
+
+/** Timeout d'une recherche sur l'indexeur (ms) */
+const INDEXER_TIMEOUT = 10000;
+
+/**
+ * Décode les entités XML courantes
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+    return String(text || '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Lit les attributs torznab:attr d'un item (<torznab:attr name="seeders" value="12"/>)
+ * @param {string} itemXml
+ * @returns {Object} name → value
+ */
+function parseTorznabAttrs(itemXml) {
+    const attrs = {};
+    const regex = /<(?:torznab|newznab):attr\s+name="([^"]+)"\s+value="([^"]*)"\s*\/?>/gi;
+    let match;
+    while ((match = regex.exec(itemXml)) !== null) {
+        attrs[match[1].toLowerCase()] = decodeXml(match[2]);
+    }
+    return attrs;
+}
+
+/** Alphabet base32 (RFC 4648) des hashes de magnets courts */
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Ramène un infohash à sa forme hexadécimale (40 caractères, minuscules)
+ * Les magnets peuvent aussi porter le hash en base32 (32 caractères).
+ * @param {string} hash
+ * @returns {string|null} Hash hexadécimal, ou null si le format est invalide
+ * @example
+ * normalizeInfoHash('MFRGGZDFMZTWQ2LKNNWG23TPOBYXE43U'); // "6162636465666768696a6b6c6d6e6f7071727374"
+ */
+function normalizeInfoHash(hash) {
+    const value = String(hash || '').trim().toLowerCase();
+    if (/^[a-f0-9]{40}$/.test(value)) return value;
+    if (!/^[a-z2-7]{32}$/.test(value)) return null;
+
+    const bits = [...value].map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+/**
+ * Extrait le hash (btih) d'un lien magnet
+ * @param {string} magnet
+ * @returns {string|null} Hash hexadécimal
+ */
+function hashFromMagnet(magnet) {
+    const match = /urn:btih:([a-z0-9]{32,40})/i.exec(magnet || '');
+    return match ? normalizeInfoHash(match[1]) : null;
+}
+
+/**
+ * Parse une réponse RSS Torznab
+ * @param {string} xml
+ * @returns {Array} [{ title, hash, size, seeders, magnet }] (items sans hash ignorés)
+ */
+function parseTorznabResults(xml) {
+    const results = [];
+    const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
+    let match;
+
+    while ((match = itemRegex.exec(xml)) !== null) {
+        const itemXml = match[1];
+        const attrs = parseTorznabAttrs(itemXml);
+        const title = decodeXml((/<title>([\s\S]*?)<\/title>/i.exec(itemXml) || [])[1]);
+        const link = decodeXml((/<link>([\s\S]*?)<\/link>/i.exec(itemXml) || [])[1]);
+        const enclosure = decodeXml((/<enclosure[^>]+url="([^"]+)"/i.exec(itemXml) || [])[1]);
+        const size = parseInt((/<size>(\d+)<\/size>/i.exec(itemXml) || [])[1] || attrs.size, 10) || 0;
+
+        const magnet = [attrs.magneturl, link, enclosure].find(url => url && url.startsWith('magnet:')) || null;
+        const hash = normalizeInfoHash(attrs.infohash) || hashFromMagnet(magnet);
+
+        if (!hash) continue;
+
+        results.push({
+            title,
+            hash,
+            size,
+            seeders: parseInt(attrs.seeders, 10) || 0,
+            magnet: magnet || `magnet:?xt=urn:btih:${hash}`
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Recherche un film ou un épisode par IMDB ID sur un indexeur Torznab
+ * @param {Object} indexer
+ * @param {string} indexer.url - URL de l'API Torznab (ex: http://jackett:9117/api/v2.0/indexers/all/results/torznab/api)
+ * @param {string} [indexer.apiKey] - Clé API de l'indexeur
+ * @param {Object} query
+ * @param {string} query.imdbId - IMDB ID (tt...)
+ * @param {string} query.type - 'movie' ou 'series'
+ * @param {number} [query.season]
+ * @param {number} [query.episode]
+ * @returns {Promise<Array>} Résultats dédoublonnés par hash, triés par seeders
+ */
+async function searchTorznab(indexer, { imdbId, type, season = null, episode = null }) {
+    const params = new URLSearchParams({
+        t: type === 'series' ? 'tvsearch' : 'movie',
+        imdbid: imdbId
+    });
+    if (indexer.apiKey) params.set('apikey', indexer.apiKey);
+    if (type === 'series' && season !== null) params.set('season', String(season));
+    if (type === 'series' && episode !== null) params.set('ep', String(episode));
+
+    const separator = indexer.url.includes('?') ? '&' : '?';
+    const response = await fetch(`${indexer.url}${separator}${params.toString()}`, { timeout: INDEXER_TIMEOUT });
+
+    if (!response.ok) {
+        throw new Error(`Indexeur HTTP ${response.status}`);
+    }
+
+    const seen = new Set();
+    return parseTorznabResults(await response.text())
+        .filter(result => !seen.has(result.hash) && seen.add(result.hash))
+        .sort((a, b) => b.seeders - a.seeders);
+}
+
+module.exports = {
+    normalizeInfoHash,
+    parseTorznabResults,
+    searchTorznab
+};
@@ -0,0 +1,154 @@
+/**
+ * Score de correspondance entre une release et une fiche de métadonnées
+ *
+ * Chaque candidat renvoyé par un fournisseur reçoit un score entre 0 et 1 : similarité du titre
+ * (titre principal ou alternatif), année (avec une tolérance d'un an) et type. En dessous du seuil
+ * configuré, la release n'est rattachée à aucune fiche et garde sa fiche `tb:`.
+ *
+ * @module lib/matching
+ */
+
+/** Poids des critères (total: 1) */
+const SCORE_WEIGHTS = {
+    title: 0.7,
+    year: 0.2,
+    type: 0.1
+};
+
+/** Score année : exacte, à un an près (sortie décalée selon le pays), inconnue d'un côté */
+const YEAR_SCORES = {
+    exact: 1,
+    close: 0.75,
+    unknown: 0.5,
+    mismatch: 0
+};
+
+/** Seuil par défaut (en %) en dessous duquel un candidat est ignoré */
+const DEFAULT_MATCH_THRESHOLD = 70;
+
+/**
+ * Normalise un titre pour la comparaison : minuscules, sans accents ni ponctuation
+ * @param {string} title
+ * @returns {string}
+ * @example
+ * normalizeTitle('Amélie & Co.'); // "amelie and co"
+ */
+function normalizeTitle(title) {
+    return String(title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Distance d'édition (Levenshtein) entre deux chaînes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarité de deux titres (0..1) : le meilleur entre distance d'édition et mots communs
+ * La distance absorbe les fautes et la ponctuation, les mots communs l'ordre des mots.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function titleSimilarity(a, b) {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const editScore = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+    const leftWords = left.split(' ');
+    const rightWords = new Set(right.split(' '));
+    const common = leftWords.filter(word => rightWords.has(word)).length;
+    const wordScore = (2 * common) / (leftWords.length + rightWords.size);
+
+    return Math.max(editScore, wordScore);
+}
+
+/**
+ * Année d'une fiche (champ year, ou début de releaseInfo "2008-2013")
+ * @param {Object} meta
+ * @returns {number|null}
+ */
+function getMetaYear(meta) {
+    return parseInt(meta.year || meta.releaseInfo, 10) || null;
+}
+
+/**
+ * Score d'un candidat pour une release
+ * @param {Object} candidate - Fiche candidate { name, aliases, year/releaseInfo, type }
+ * @param {Object} query - Release analysée { title, year, type }
+ * @returns {Object} { score, title, year, type } - score global et score de chaque critère (0..1)
+ */
+function scoreCandidate(candidate, query) {
+    // Titres alternatifs des deux côtés : "Titre AKA Autre titre" dans la release, titre original du fournisseur
+    const queryTitles = String(query.title || '').split(/\s+aka\s+/i);
+    const candidateTitles = [candidate.name, ...(candidate.aliases || [])].filter(Boolean);
+    const title = Math.max(0, ...queryTitles.flatMap(queryTitle =>
+        candidateTitles.map(candidateTitle => titleSimilarity(queryTitle, candidateTitle))
+    ));
+
+    const candidateYear = getMetaYear(candidate);
+    let year = YEAR_SCORES.unknown;
+    if (query.year && candidateYear) {
+        const gap = Math.abs(query.year - candidateYear);
+        year = gap === 0 ? YEAR_SCORES.exact : gap === 1 ? YEAR_SCORES.close : YEAR_SCORES.mismatch;
+
+        // L'année d'une release de série est souvent celle de la saison, après la première diffusion
+        if (query.type === 'series' && year === YEAR_SCORES.mismatch && query.year > candidateYear) {
+            year = YEAR_SCORES.close;
+        }
+    }
+
+    const type = !candidate.type || candidate.type === query.type ? 1 : 0;
+
+    const score = title * SCORE_WEIGHTS.title + year * SCORE_WEIGHTS.year + type * SCORE_WEIGHTS.type;
+    return { score: Math.round(score * 1000) / 1000, title, year, type };
+}
+
+/**
+ * Classe les candidats du meilleur au moins bon score
+ * @param {Array} candidates - Fiches renvoyées par un fournisseur
+ * @param {Object} query - Release analysée { title, year, type }
+ * @returns {Array} [{ candidate, score, details }], à égalité l'ordre du fournisseur (sa popularité) est conservé
+ */
+function rankCandidates(candidates, query) {
+    return candidates
+        .map((candidate, index) => {
+            const { score, ...details } = scoreCandidate(candidate, query);
+            return { candidate, score, details, index };
+        })
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ index, ...ranked }) => ranked);
+}
+
+module.exports = {
+    DEFAULT_MATCH_THRESHOLD,
+    normalizeTitle,
+    titleSimilarity,
+    getMetaYear,
+    scoreCandidate,
+    rankCandidates
+};
@@ -0,0 +1,319 @@
+/**
+ * Fournisseurs de métadonnées (Cinemeta, TMDB) derrière une interface commune
+ *
+ * Chaque fournisseur sait chercher des candidats par titre et récupérer la fiche d'un IMDB ID.
+ * Les candidats sont classés par score (lib/matching) et le meilleur est rattaché à un IMDB ID
+ * (`id: 'tt...'`) : les streams restent compatibles avec Cinemeta et les autres addons.
+ * Une chaîne essaie les fournisseurs dans l'ordre configuré et s'arrête au premier candidat
+ * dont le score atteint le seuil.
+ *
+ * @module lib/metadata
+ */
+
+const fetch = require('node-fetch');
+const { getMetaYear, rankCandidates } = require('./matching');
+
+const CINEMETA_URL = 'https://v3-cinemeta.strem.io';
+const TMDB_API_URL = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
+
+/** Timeout d'un appel à un fournisseur (ms) */
+const METADATA_TIMEOUT = 5000;
+
+/** Nombre de candidats examinés pour trouver un IMDB ID (TMDB : un appel par candidat) */
+const MAX_RESOLVED_CANDIDATES = 3;
+
+/**
+ * Genres TMDB → genres Cinemeta (le filtre des catalogues utilise les noms Cinemeta)
+ * Les genres combinés des séries ("Action & Adventure") donnent plusieurs genres.
+ */
+const TMDB_GENRES = {
+    28: ['Action'], 12: ['Adventure'], 16: ['Animation'], 35: ['Comedy'], 80: ['Crime'],
+    99: ['Documentary'], 18: ['Drama'], 10751: ['Family'], 14: ['Fantasy'], 36: ['History'],
+    27: ['Horror'], 9648: ['Mystery'], 10749: ['Romance'], 878: ['Sci-Fi'], 53: ['Thriller'],
+    10752: ['War'], 37: ['Western'],
+    10759: ['Action', 'Adventure'], 10762: ['Family'], 10764: ['Reality-TV'],
+    10765: ['Sci-Fi', 'Fantasy'], 10767: ['Talk-Show'], 10768: ['War']
+};
+
+/**
+ * Appel JSON d'un fournisseur
+ * Seul un 404 est une vraie absence : les autres erreurs HTTP (5xx, 429, clé refusée) sont levées,
+ * pour que la chaîne passe au fournisseur suivant sans mettre le titre en cache comme introuvable.
+ * @param {string} url
+ * @param {Object} [headers]
+ * @returns {Promise<Object|null>} Réponse, ou null si HTTP 404
+ * @throws {Error} Si HTTP en erreur (hors 404)
+ */
+async function fetchJson(url, headers = {}) {
+    const response = await fetch(url, { headers, timeout: METADATA_TIMEOUT });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${url.replace(/api_key=[^&]+/, 'api_key=***')}`);
+    }
+    return response.json();
+}
+
+/**
+ * Fournisseurs disponibles : chacun reçoit ses options et renvoie
+ * { key, name, search(title, type, year), resolve(candidate), getMeta(type, imdbId) }.
+ * `search` renvoie les candidats dans l'ordre du fournisseur ; `resolve` complète l'IMDB ID
+ * d'un candidat qui n'en a pas (ou renvoie null). `key` identifie les résultats en cache
+ * (il inclut la langue quand elle change les fiches).
+ */
+const PROVIDERS = {
+    cinemeta: ({ url = CINEMETA_URL } = {}) => ({
+        key: 'cinemeta',
+        name: 'Cinemeta',
+
+        async search(title, type) {
+            const data = await fetchJson(`${url}/catalog/${type}/top/search=${encodeURIComponent(title)}.json`);
+            return data && data.metas ? data.metas : [];
+        },
+
+        // Les résultats Cinemeta ont déjà leur IMDB ID
+        async resolve(candidate) {
+            return candidate;
+        },
+
+        async getMeta(type, imdbId) {
+            const data = await fetchJson(`${url}/meta/${type}/${imdbId}.json`);
+            return data && data.meta ? data.meta : null;
+        }
+    }),
+
+    tmdb: ({ apiKey, language = 'fr-FR' }) => {
+        if (!apiKey) {
+            throw new Error('Clé API TMDB manquante');
+        }
+
+        // Clé v3 en paramètre, jeton v4 (JWT) en header
+        const isToken = apiKey.length > 40;
+        const headers = isToken ? { Authorization: `Bearer ${apiKey}` } : {};
+        const request = (path, params = {}) => {
+            const query = new URLSearchParams({ ...params, language });
+            if (!isToken) query.set('api_key', apiKey);
+            return fetchJson(`${TMDB_API_URL}${path}?${query.toString()}`, headers);
+        };
+
+        /**
+         * Fiche au format Stremio à partir d'un résultat TMDB
+         * @param {Object} result - Résultat de /search ou /find
+         * @param {string} type
+         * @param {string} imdbId
+         * @returns {Object}
+         */
+        const toMeta = (result, type, imdbId) => {
+            const date = result.release_date || result.first_air_date || '';
+            const year = parseInt(date, 10) || null;
+            const name = result.title || result.name;
+            const originalName = result.original_title || result.original_name;
+            return {
+                id: imdbId,
+                tmdbId: result.id,
+                type,
+                name,
+                aliases: originalName && originalName !== name ? [originalName] : [],
+                poster: result.poster_path ? `${TMDB_IMAGE_URL}/w500${result.poster_path}` : undefined,
+                background: result.backdrop_path ? `${TMDB_IMAGE_URL}/original${result.backdrop_path}` : undefined,
+                description: result.overview || '',
+                releaseInfo: year ? String(year) : '',
+                year,
+                genres: [...new Set((result.genre_ids || []).flatMap(id => TMDB_GENRES[id] || []))]
+            };
+        };
+
+        return {
+            key: `tmdb:${language}`,
+            name: 'TMDB',
+
+            async search(title, type, year) {
+                const kind = type === 'series' ? 'tv' : 'movie';
+                const params = { query: title };
+                if (year) params[kind === 'tv' ? 'first_air_date_year' : 'year'] = String(year);
+
+                let data = await request(`/search/${kind}`, params);
+                // L'année des releases est parfois décalée (sortie France, saison 2...) : on réessaie sans
+                if (year && data && data.results && data.results.length === 0) {
+                    data = await request(`/search/${kind}`, { query: title });
+                }
+                if (!data || !data.results) return [];
+
+                // Sans IMDB ID pour l'instant : resolve() ne le cherche que pour les meilleurs candidats
+                return data.results.map(result => toMeta(result, type, null));
+            },
+
+            async resolve(candidate) {
+                const kind = candidate.type === 'series' ? 'tv' : 'movie';
+                const ids = await request(`/${kind}/${candidate.tmdbId}/external_ids`);
+                return ids && ids.imdb_id ? { ...candidate, id: ids.imdb_id } : null;
+            },
+
+            async getMeta(type, imdbId) {
+                const data = await request(`/find/${imdbId}`, { external_source: 'imdb_id' });
+                if (!data) return null;
+
+                const result = (type === 'series' ? data.tv_results : data.movie_results) || [];
+                return result.length > 0 ? toMeta(result[0], type, imdbId) : null;
+            }
+        };
+    }
+};
+
+/**
+ * Nettoie un titre avant la recherche (ponctuation retirée, accents conservés pour TMDB)
+ * @param {string} title
+ * @returns {string}
+ */
+function cleanSearchTitle(title) {
+    return title
+        .replace(/[^\w\sÀ-ɏ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Meilleur candidat d'un fournisseur, avec son IMDB ID
+ * Les candidats sont essayés par score décroissant : un candidat sans IMDB ID ne servirait à rien pour les streams.
+ * @param {Object} provider
+ * @param {Array} ranked - Résultat de rankCandidates
+ * @returns {Promise<Object|null>} Fiche avec `score` et `scores` (détail par critère), ou null
+ */
+async function resolveBest(provider, ranked) {
+    for (const { candidate, score, details } of ranked.slice(0, MAX_RESOLVED_CANDIDATES)) {
+        const resolved = candidate.id ? candidate : await provider.resolve(candidate);
+        if (resolved && resolved.id) {
+            return { ...resolved, score, scores: details };
+        }
+    }
+    return null;
+}
+
+/**
+ * Crée une chaîne de fournisseurs avec cache
+ * @param {Array} providers - Fournisseurs (PROVIDERS.<nom>(options)), dans l'ordre d'essai
+ * @param {Object} caches
+ * @param {Object} caches.searchCache - Store des recherches (titre → meilleur candidat, ou null si aucun résultat)
+ * @param {Object} caches.metaCache - Store des fiches complètes (IMDB ID → fiche)
+ * @param {number} [caches.missTtl] - Durée de vie d'une recherche sans résultat (ms)
+ * @returns {Object} { providers, search(title, type, year, threshold), explain(title, type, year), getMeta(type, imdbId) }
+ */
+function createMetadataChain(providers, { searchCache, metaCache, missTtl }) {
+    return {
+        providers,
+
+        /**
+         * Cherche un titre chez chaque fournisseur jusqu'au premier candidat assez proche
+         * Le meilleur candidat est mis en cache quel que soit son score : le seuil s'applique à la lecture.
+         * @param {string} title
+         * @param {string} type - 'movie' ou 'series'
+         * @param {number} [year]
+         * @param {number} [threshold=0] - Score minimal (0..1)
+         * @returns {Promise<Object|null>} Fiche avec son IMDB ID, `score` et `provider` (nom du fournisseur)
+         */
+        async search(title, type, year = null, threshold = 0) {
+            const cleanTitle = cleanSearchTitle(title);
+            const query = { title: cleanTitle, type, year };
+
+            for (const provider of providers) {
+                const cacheKey = `${provider.key}:${type}:${cleanTitle}:${year || ''}`;
+                let result;
+
+                if (searchCache.has(cacheKey)) {
+                    result = searchCache.get(cacheKey);
+                } else {
+                    try {
+                        console.log(`[${provider.name}] Recherche: ${cleanTitle} (${type})`);
+                        const candidates = await provider.search(cleanTitle, type, year);
+                        result = await resolveBest(provider, rankCandidates(candidates, query));
+                    } catch (error) {
+                        // Fournisseur injoignable : on passe au suivant sans mettre en cache
+                        console.error(`[${provider.name}] Erreur recherche:`, error.message);
+                        continue;
+                    }
+
+                    if (result) {
+                        result = { ...result, provider: provider.name };
+                        searchCache.set(cacheKey, result);
+                    } else {
+                        searchCache.set(cacheKey, null, missTtl);
+                    }
+                }
+
+                if (result && result.score >= threshold) {
+                    console.log(`[${provider.name}] Trouvé: ${result.name} (${result.id}, score ${result.score})`);
+                    return result;
+                }
+                if (result) {
+                    console.log(`[${provider.name}] Écarté: ${result.name} (${result.id}, score ${result.score} < ${threshold})`);
+                }
+            }
+
+            console.log(`[Metadata] Aucun résultat pour "${cleanTitle}"`);
+            return null;
+        },
+
+        /**
+         * Détail de la recherche d'un titre : candidats et scores de chaque fournisseur (sans cache)
+         * Les IMDB ID manquants (TMDB) ne sont pas résolus : seul `tmdbId` est connu.
+         * @param {string} title
+         * @param {string} type - 'movie' ou 'series'
+         * @param {number} [year]
+         * @returns {Promise<Array>} [{ provider, candidates: [{ id, tmdbId, name, aliases, year, type, score, scores }], error }]
+         */
+        async explain(title, type, year = null) {
+            const cleanTitle = cleanSearchTitle(title);
+            const query = { title: cleanTitle, type, year };
+
+            return Promise.all(providers.map(async provider => {
+                try {
+                    const candidates = await provider.search(cleanTitle, type, year);
+                    return {
+                        provider: provider.name,
+                        candidates: rankCandidates(candidates, query).map(({ candidate, score, details }) => ({
+                            id: candidate.id || null,
+                            tmdbId: candidate.tmdbId,
+                            name: candidate.name,
+                            aliases: candidate.aliases,
+                            year: getMetaYear(candidate),
+                            type: candidate.type,
+                            score,
+                            scores: details
+                        }))
+                    };
+                } catch (error) {
+                    return { provider: provider.name, candidates: [], error: error.message };
+                }
+            }));
+        },
+
+        /**
+         * Fiche complète d'un IMDB ID, chez le premier fournisseur qui la connaît
+         * @param {string} type - 'movie' ou 'series'
+         * @param {string} imdbId
+         * @returns {Promise<Object|null>}
+         */
+        async getMeta(type, imdbId) {
+            for (const provider of providers) {
+                const cacheKey = `${provider.key}:${imdbId}`;
+                if (metaCache.has(cacheKey)) return metaCache.get(cacheKey);
+
+                try {
+                    const meta = await provider.getMeta(type, imdbId);
+                    if (meta) {
+                        metaCache.set(cacheKey, meta);
+                        return meta;
+                    }
+                } catch (error) {
+                    console.error(`[${provider.name}] Erreur meta:`, error.message);
+                }
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    createMetadataChain
+};
@@ -0,0 +1,137 @@
+/**
+ * Envoi de notifications vers des webhooks
+ *
+ * Trois formats : JSON générique (POST de l'événement tel quel), ntfy et Discord.
+ * N'importe quelle URL convient, y compris un récepteur HTTP local pour tester.
+ *
+ * @module lib/notifier
+ */
+
+const fetch = require('node-fetch');
+
+/** Timeout d'un envoi (ms) */
+const NOTIFY_TIMEOUT = 10000;
+
+/** Couleurs des embeds Discord par type d'événement */
+const DISCORD_COLORS = {
+    finished: 0x1e5f3d,
+    error: 0x7a1f1f,
+    expiring: 0x7a5a1f,
+    test: 0x8a5aab
+};
+
+/** Tags ntfy (emojis affichés par l'app) par type d'événement */
+const NTFY_TAGS = {
+    finished: ['white_check_mark'],
+    error: ['x'],
+    expiring: ['warning'],
+    test: ['bell']
+};
+
+/**
+ * Construit la requête d'un format de webhook
+ * Chaque format reçoit (url, event) et renvoie { url, body }.
+ */
+const FORMATS = {
+    webhook: (url, event) => ({ url, body: event }),
+
+    // Publication JSON ntfy : POST à la racine du serveur avec le topic dans le corps
+    // (évite les headers Title/Tags, qui n'acceptent pas les accents ni les emojis)
+    ntfy: (url, event) => {
+        const parsed = new URL(url);
+        const segments = parsed.pathname.split('/').filter(Boolean);
+        const topic = segments.pop();
+        parsed.pathname = `/${segments.join('/')}`;
+
+        return {
+            url: parsed.toString(),
+            body: {
+                topic,
+                title: event.title,
+                message: event.message,
+                tags: NTFY_TAGS[event.type] || [],
+                priority: event.type === 'error' || event.type === 'expiring' ? 4 : 3
+            }
+        };
+    },
+
+    discord: (url, event) => ({
+        url,
+        body: {
+            username: 'Torbox Status',
+            embeds: [{
+                title: event.title,
+                description: event.message,
+                color: DISCORD_COLORS[event.type] || DISCORD_COLORS.test,
+                timestamp: event.timestamp
+            }]
+        }
+    })
+};
+
+/**
+ * Lit les cibles de notification depuis des listes d'URLs séparées par des virgules
+ * @param {Object} lists - format → liste d'URLs (ex: { webhook: 'http://a,http://b', ntfy: '', discord: '' })
+ * @returns {Array} [{ format, url }]
+ */
+function parseTargets(lists) {
+    const targets = [];
+    Object.entries(lists).forEach(([format, list]) => {
+        if (!FORMATS[format]) {
+            throw new Error(`Format de notification inconnu: ${format}`);
+        }
+        String(list || '').split(',')
+            .map(url => url.trim())
+            .filter(Boolean)
+            .forEach(url => targets.push({ format, url }));
+    });
+    return targets;
+}
+
+/**
+ * Envoie un événement à une cible
+ * @param {Object} target - { format, url }
+ * @param {Object} event - { type, title, message, timestamp, ... }
+ * @returns {Promise<void>}
+ * @throws {Error} Si la cible répond en erreur ou est injoignable
+ */
+async function sendToTarget(target, event) {
+    const { url, body } = FORMATS[target.format](target.url, event);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' },
+        timeout: NOTIFY_TIMEOUT
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+/**
+ * Envoie un événement à toutes les cibles (une cible en échec n'empêche pas les autres)
+ * @param {Array} targets - Résultat de parseTargets
+ * @param {Object} event - { type, title, message, ... } (timestamp ajouté si absent)
+ * @returns {Promise<Array>} [{ format, url, ok, error }]
+ */
+async function notify(targets, event) {
+    const payload = { timestamp: new Date().toISOString(), ...event };
+
+    return Promise.all(targets.map(async target => {
+        try {
+            await sendToTarget(target, payload);
+            return { format: target.format, url: target.url, ok: true };
+        } catch (error) {
+            console.error(`[Notifier] Échec ${target.format} (${target.url}):`, error.message);
+            return { format: target.format, url: target.url, ok: false, error: error.message };
+        }
+    }));
+}
+
+module.exports = {
+    FORMATS,
+    parseTargets,
+    notify
+};
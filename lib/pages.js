@@ -0,0 +1,643 @@
+/**
+ * Pages web de l'addon (ajout de torrents, gestion de la bibliothèque, ...)
+ *
+ * Pages statiques : le navigateur garde la clé API Torbox en localStorage et
+ * l'envoie en `Authorization: Bearer` aux routes /api. Aucune session côté serveur.
+ *
+ * @module lib/pages
+ */
+
+const STYLESHEET = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; background: #1a1a2e; color: #eee; }
+header { display: flex; align-items: center; gap: 16px; padding: 12px 24px; background: #16213e; }
+header h1 { margin: 0; font-size: 20px; }
+header nav a { color: #9ab; margin-right: 12px; text-decoration: none; }
+header nav a:hover { color: #fff; }
+header .logout { margin-left: auto; }
+main { max-width: 960px; margin: 24px auto; padding: 0 16px; }
+section { background: #16213e; border-radius: 8px; padding: 16px 20px; margin-bottom: 20px; }
+h2 { margin-top: 0; font-size: 17px; }
+label { display: block; margin: 10px 0 4px; color: #9ab; font-size: 14px; }
+input[type=text], input[type=password], textarea, select { width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #345; background: #0f1626; color: #eee; font: inherit; }
+textarea { min-height: 70px; }
+button { margin-top: 12px; padding: 8px 18px; border: 0; border-radius: 4px; background: #8a5aab; color: #fff; font: inherit; cursor: pointer; }
+button.secondary { background: #345; }
+button.danger { background: #a33; }
+button:disabled { opacity: 0.5; cursor: default; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #2a3450; vertical-align: top; }
+.muted { color: #9ab; font-size: 13px; }
+.message { padding: 8px 12px; border-radius: 4px; margin-top: 12px; }
+.message.ok { background: #1e5f3d; }
+.message.error { background: #7a1f1f; }
+.progress { background: #0f1626; border-radius: 4px; height: 8px; overflow: hidden; min-width: 80px; }
+.progress > div { background: #8a5aab; height: 100%; }
+.hidden { display: none; }
+`;
+
+/**
+ * Script commun : gestion de la clé API et appels authentifiés
+ */
+const COMMON_SCRIPT = `
+const KEY_STORAGE = 'torboxApiKey';
+
+function getApiKey() {
+    return localStorage.getItem(KEY_STORAGE);
+}
+
+async function api(path, options = {}) {
+    const response = await fetch(path, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer ' + getApiKey(),
+            ...(options.headers || {})
+        }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+        localStorage.removeItem(KEY_STORAGE);
+        showLogin();
+    }
+    if (!response.ok) {
+        throw new Error(data.error || 'Erreur HTTP ' + response.status);
+    }
+    return data;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function showMessage(element, text, ok) {
+    element.className = 'message ' + (ok ? 'ok' : 'error');
+    element.textContent = text;
+}
+
+function showLogin() {
+    document.getElementById('login').classList.remove('hidden');
+    document.getElementById('app').classList.add('hidden');
+}
+
+function showApp() {
+    document.getElementById('login').classList.add('hidden');
+    document.getElementById('app').classList.remove('hidden');
+    if (typeof onReady === 'function') onReady();
+}
+
+document.getElementById('loginForm').onsubmit = (event) => {
+    event.preventDefault();
+    localStorage.setItem(KEY_STORAGE, document.getElementById('loginKey').value.trim());
+    showApp();
+};
+
+document.getElementById('logout').onclick = () => {
+    localStorage.removeItem(KEY_STORAGE);
+    showLogin();
+};
+
+if (getApiKey()) showApp(); else showLogin();
+`;
+
+/** Liens de navigation entre les pages */
+const NAV_LINKS = [
+    { href: '/add', label: 'Ajouter' },
+    { href: '/library', label: 'Bibliothèque' },
+    { href: '/duplicates', label: 'Doublons' },
+    { href: '/matches', label: 'Correspondances' }
+];
+
+/**
+ * Échappe un texte pour l'insérer dans du HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gabarit commun des pages : en-tête, formulaire de connexion (clé API), contenu
+ * @param {string} title - Titre de la page
+ * @param {string} body - HTML du contenu (affiché une fois connecté)
+ * @param {string} script - JS de la page (peut définir onReady())
+ * @returns {string}
+ */
+function renderPage(title, body, script) {
+    const nav = NAV_LINKS.map(link => `<a href="${link.href}">${escapeHtml(link.label)}</a>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)} - Torbox Status</title>
+    <style>${STYLESHEET}</style>
+</head>
+<body>
+    <header>
+        <h1>⚡ Torbox Status</h1>
+        <nav>${nav}</nav>
+        <button id="logout" class="secondary logout">Déconnexion</button>
+    </header>
+    <main>
+        <section id="login" class="hidden">
+            <h2>Connexion</h2>
+            <form id="loginForm">
+                <label for="loginKey">Clé API Torbox (la même que dans l'addon)</label>
+                <input type="password" id="loginKey" required>
+                <button type="submit">Se connecter</button>
+            </form>
+            <p class="muted">La clé reste dans ce navigateur et sert uniquement à appeler Torbox pour ton compte.</p>
+        </section>
+        <div id="app" class="hidden">
+            ${body}
+        </div>
+    </main>
+    <script>
+${script}
+${COMMON_SCRIPT}
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Champ du formulaire /configure (format manifest.config du SDK Stremio : text, number, password, checkbox, select)
+ * @param {Object} field
+ * @returns {string}
+ */
+function renderConfigField(field) {
+    const id = escapeHtml(field.key);
+    const title = escapeHtml(field.title);
+
+    if (field.type === 'checkbox') {
+        const checked = field.default === 'checked' ? ' checked' : '';
+        return `<label><input type="checkbox" id="${id}" name="${id}"${checked}> ${title}</label>`;
+    }
+
+    if (field.type === 'select') {
+        const selected = field.default || (field.options || [])[0];
+        const options = (field.options || []).map(option =>
+            `<option value="${escapeHtml(option)}"${option === selected ? ' selected' : ''}>${escapeHtml(option)}</option>`
+        ).join('');
+        return `<label for="${id}">${title}</label><select id="${id}" name="${id}">${options}</select>`;
+    }
+
+    const type = ['number', 'password'].includes(field.type) ? field.type : 'text';
+    const value = field.default !== undefined ? ` value="${escapeHtml(field.default)}"` : '';
+    return `<label for="${id}">${title}</label><input type="${type}" id="${id}" name="${id}"${value}${field.required ? ' required' : ''}>`;
+}
+
+/**
+ * Page /configure : formulaire de config et lien d'installation (stremio://<hôte>/<config>/manifest.json)
+ * Page publique, sans connexion : la config n'existe que dans l'URL de l'addon.
+ * @param {Object} manifest - Manifest de référence (name, version, description, config)
+ * @returns {string}
+ */
+function renderConfigurePage(manifest) {
+    const fields = (manifest.config || []).map(renderConfigField).join('\n                ');
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Configuration - ${escapeHtml(manifest.name)}</title>
+    <style>${STYLESHEET}</style>
+</head>
+<body>
+    <header>
+        <h1>⚡ ${escapeHtml(manifest.name)}</h1>
+        <span class="muted">v${escapeHtml(manifest.version)}</span>
+    </header>
+    <main>
+        <section>
+            <p>${escapeHtml(manifest.description)}</p>
+            <form id="configForm">
+                ${fields}
+                <button type="submit">Installer dans Stremio</button>
+            </form>
+            <label for="manifestUrl">URL de l'addon (à coller dans Stremio si le bouton ne s'ouvre pas)</label>
+            <input type="text" id="manifestUrl" readonly>
+        </section>
+    </main>
+    <script>
+const form = document.getElementById('configForm');
+const manifestUrl = document.getElementById('manifestUrl');
+
+function getManifestPath() {
+    const config = Object.fromEntries(new FormData(form));
+    return window.location.host + '/' + encodeURIComponent(JSON.stringify(config)) + '/manifest.json';
+}
+
+function updateManifestUrl() {
+    manifestUrl.value = window.location.protocol + '//' + getManifestPath();
+}
+
+form.oninput = updateManifestUrl;
+form.onchange = updateManifestUrl;
+form.onsubmit = (event) => {
+    event.preventDefault();
+    window.location.href = 'stremio://' + getManifestPath();
+};
+manifestUrl.onfocus = () => manifestUrl.select();
+updateManifestUrl();
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Page d'ajout : lien magnet, fichier .torrent ou hash, puis suivi des téléchargements en cours
+ * @returns {string}
+ */
+function renderAddPage() {
+    const body = `
+        <section>
+            <h2>Ajouter à Torbox</h2>
+            <form id="addForm">
+                <label for="magnet">Lien magnet ou hash (infohash)</label>
+                <textarea id="magnet" placeholder="magnet:?xt=urn:btih:... ou 40 caractères hexadécimaux"></textarea>
+                <label for="torrentFile">… ou fichier .torrent</label>
+                <input type="file" id="torrentFile" accept=".torrent,application/x-bittorrent">
+                <label for="name">Nom (optionnel)</label>
+                <input type="text" id="name">
+                <button type="submit" id="addButton">Ajouter</button>
+            </form>
+            <div id="addResult"></div>
+        </section>
+        <section>
+            <h2>Téléchargements en cours</h2>
+            <table>
+                <thead><tr><th>Nom</th><th>État</th><th>Progression</th><th>Vitesse</th><th>ETA</th><th>Taille</th></tr></thead>
+                <tbody id="downloads"><tr><td colspan="6" class="muted">Chargement…</td></tr></tbody>
+            </table>
+        </section>`;
+
+    const script = `
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+async function refreshDownloads() {
+    const tbody = document.getElementById('downloads');
+    try {
+        const { downloads } = await api('/api/downloads');
+        tbody.innerHTML = downloads.length === 0
+            ? '<tr><td colspan="6" class="muted">Aucun téléchargement en cours</td></tr>'
+            : downloads.map(d => '<tr>'
+                + '<td>' + escapeHtml(d.name) + '</td>'
+                + '<td>' + escapeHtml(d.stateLabel) + '</td>'
+                + '<td><div class="progress"><div style="width:' + d.progress + '%"></div></div>' + d.progress + '%</td>'
+                + '<td>' + escapeHtml(d.speed) + '</td>'
+                + '<td>' + escapeHtml(d.eta) + '</td>'
+                + '<td>' + escapeHtml(d.size) + '</td>'
+                + '</tr>').join('');
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6">' + escapeHtml(error.message) + '</td></tr>';
+    }
+}
+
+let refreshTimer = null;
+function onReady() {
+    refreshDownloads();
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refreshDownloads, 5000);
+}
+
+document.getElementById('addForm').onsubmit = async (event) => {
+    event.preventDefault();
+    const result = document.getElementById('addResult');
+    const button = document.getElementById('addButton');
+    const input = document.getElementById('magnet').value.trim();
+    const file = document.getElementById('torrentFile').files[0];
+    const payload = { name: document.getElementById('name').value.trim() || undefined };
+
+    if (file) {
+        payload.torrentFile = await readFileAsBase64(file);
+        payload.fileName = file.name;
+    } else if (input.startsWith('magnet:')) {
+        payload.magnet = input;
+    } else if (input) {
+        payload.hash = input;
+    } else {
+        showMessage(result, 'Renseigne un magnet, un hash ou un fichier .torrent', false);
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const { torrent } = await api('/api/torrents', { method: 'POST', body: JSON.stringify(payload) });
+        showMessage(result, '✓ Ajouté : ' + (torrent.name || torrent.hash || 'torrent') + (torrent.queued ? ' (en file d\\'attente)' : ''), true);
+        document.getElementById('addForm').reset();
+        refreshDownloads();
+    } catch (error) {
+        showMessage(result, error.message, false);
+    } finally {
+        button.disabled = false;
+    }
+};
+`;
+
+    return renderPage('Ajouter', body, script);
+}
+
+/**
+ * Page de gestion de la bibliothèque : liste des torrents, suppression, reannounce et nettoyage groupé
+ * @returns {string}
+ */
+function renderLibraryPage() {
+    const body = `
+        <section>
+            <h2>Nettoyage</h2>
+            <button id="cleanFinished" class="danger">Supprimer les terminés</button>
+            <button id="cleanErrored" class="danger">Supprimer ceux en erreur</button>
+            <div id="cleanupResult"></div>
+        </section>
+        <section>
+            <h2>Bibliothèque Torbox <span id="count" class="muted"></span></h2>
+            <label for="filter">Filtrer</label>
+            <input type="text" id="filter" placeholder="Nom de la release">
+            <table>
+                <thead><tr><th>Nom</th><th>État</th><th>Progression</th><th>Taille</th><th>Ajouté</th><th></th></tr></thead>
+                <tbody id="library"><tr><td colspan="6" class="muted">Chargement…</td></tr></tbody>
+            </table>
+            <div id="actionResult"></div>
+        </section>`;
+
+    const script = `
+let torrents = [];
+
+function renderLibrary() {
+    const tbody = document.getElementById('library');
+    const filter = document.getElementById('filter').value.trim().toLowerCase();
+    const visible = torrents.filter(t => t.name.toLowerCase().includes(filter));
+
+    document.getElementById('count').textContent = '(' + torrents.length + ')';
+    tbody.innerHTML = visible.length === 0
+        ? '<tr><td colspan="6" class="muted">Aucun torrent</td></tr>'
+        : visible.map(t => '<tr>'
+            + '<td>' + escapeHtml(t.name) + '</td>'
+            + '<td>' + escapeHtml(t.stateLabel) + '</td>'
+            + '<td><div class="progress"><div style="width:' + t.progress + '%"></div></div>' + t.progress + '%</td>'
+            + '<td>' + escapeHtml(t.size) + '</td>'
+            + '<td>' + escapeHtml(t.added) + '</td>'
+            + '<td>'
+            + (t.state !== 'finished' ? '<button class="secondary" data-action="reannounce" data-id="' + t.id + '">Reannounce</button> ' : '')
+            + '<button class="danger" data-action="delete" data-id="' + t.id + '">Supprimer</button>'
+            + '</td>'
+            + '</tr>').join('');
+}
+
+async function refreshLibrary() {
+    try {
+        torrents = (await api('/api/library')).torrents;
+        renderLibrary();
+    } catch (error) {
+        document.getElementById('library').innerHTML = '<tr><td colspan="6">' + escapeHtml(error.message) + '</td></tr>';
+    }
+}
+
+function onReady() {
+    refreshLibrary();
+}
+
+document.getElementById('filter').oninput = renderLibrary;
+
+document.getElementById('library').onclick = async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const result = document.getElementById('actionResult');
+    const torrent = torrents.find(t => String(t.id) === button.dataset.id) || { name: button.dataset.id };
+    const isDelete = button.dataset.action === 'delete';
+    if (isDelete && !confirm('Supprimer « ' + torrent.name + ' » de Torbox ?')) return;
+
+    button.disabled = true;
+    try {
+        if (isDelete) {
+            await api('/api/torrents/' + button.dataset.id, { method: 'DELETE' });
+            showMessage(result, '✓ Supprimé : ' + torrent.name, true);
+        } else {
+            await api('/api/torrents/' + button.dataset.id + '/reannounce', { method: 'POST' });
+            showMessage(result, '✓ Reannounce envoyé : ' + torrent.name, true);
+        }
+        refreshLibrary();
+    } catch (error) {
+        showMessage(result, error.message, false);
+        button.disabled = false;
+    }
+};
+
+async function cleanup(options, label) {
+    if (!confirm('Supprimer tous les torrents ' + label + ' de Torbox ?')) return;
+
+    const result = document.getElementById('cleanupResult');
+    try {
+        const { deleted, failed } = await api('/api/torrents/cleanup', { method: 'POST', body: JSON.stringify(options) });
+        showMessage(result, '✓ ' + deleted.length + ' supprimé(s)'
+            + (failed.length > 0 ? ', ' + failed.length + ' échec(s) : ' + failed.map(f => f.name + ' (' + f.error + ')').join(', ') : ''),
+        failed.length === 0);
+        refreshLibrary();
+    } catch (error) {
+        showMessage(result, error.message, false);
+    }
+}
+
+document.getElementById('cleanFinished').onclick = () => cleanup({ finished: true }, 'terminés');
+document.getElementById('cleanErrored').onclick = () => cleanup({ errored: true }, 'en erreur');
+`;
+
+    return renderPage('Bibliothèque', body, script);
+}
+
+/**
+ * Page du rapport de doublons : copies de chaque contenu, espace récupérable, suppression des doublons
+ * @returns {string}
+ */
+function renderDuplicatesPage() {
+    const body = `
+        <section>
+            <h2>Doublons <span id="summary" class="muted"></span></h2>
+            <p class="muted">Contenus présents en plusieurs copies (même IMDB ID, même saison/épisode). La meilleure copie
+            selon ton ordre de résolutions est gardée, les autres peuvent être supprimées.</p>
+            <div id="groups" class="muted">Analyse en cours…</div>
+            <div id="actionResult"></div>
+        </section>`;
+
+    const script = `
+async function refreshDuplicates() {
+    const container = document.getElementById('groups');
+    try {
+        const report = await api('/api/duplicates');
+        document.getElementById('summary').textContent = '(' + report.groups.length + ' contenu(s), ' + report.reclaimable + ' récupérables)';
+        container.className = '';
+        container.innerHTML = report.groups.length === 0
+            ? '<p class="muted">Aucun doublon dans ta bibliothèque.</p>'
+            : report.groups.map(group => '<h2>' + escapeHtml(group.name) + ' <span class="muted">' + escapeHtml(group.reclaimable) + ' récupérables</span></h2>'
+                + '<table><thead><tr><th></th><th>Release</th><th>Qualité</th><th>Taille</th><th></th></tr></thead><tbody>'
+                + group.copies.map(copy => '<tr>'
+                    + '<td>' + (copy.keep ? '✅' : '🗑️') + '</td>'
+                    + '<td>' + escapeHtml(copy.name) + '</td>'
+                    + '<td>' + escapeHtml(copy.quality) + '</td>'
+                    + '<td>' + escapeHtml(copy.size) + '</td>'
+                    + '<td>' + (!copy.keep && copy.source === 'torrent'
+                        ? '<button class="danger" data-id="' + escapeHtml(copy.key) + '" data-name="' + escapeHtml(copy.name) + '">Supprimer</button>'
+                        : '') + '</td>'
+                    + '</tr>').join('')
+                + '</tbody></table>').join('');
+    } catch (error) {
+        container.textContent = error.message;
+    }
+}
+
+function onReady() {
+    refreshDuplicates();
+}
+
+document.getElementById('groups').onclick = async (event) => {
+    const button = event.target.closest('button[data-id]');
+    if (!button || !confirm('Supprimer « ' + button.dataset.name + ' » de Torbox ?')) return;
+
+    const result = document.getElementById('actionResult');
+    button.disabled = true;
+    try {
+        await api('/api/torrents/' + button.dataset.id, { method: 'DELETE' });
+        showMessage(result, '✓ Supprimé : ' + button.dataset.name, true);
+        refreshDuplicates();
+    } catch (error) {
+        showMessage(result, error.message, false);
+        button.disabled = false;
+    }
+};
+`;
+
+    return renderPage('Doublons', body, script);
+}
+
+/**
+ * Page des correspondances : fiche IMDB de chaque release, correction manuelle, « ignorer » et réinitialisation
+ * @returns {string}
+ */
+function renderMatchesPage() {
+    const body = `
+        <section>
+            <h2>Correspondances <span id="count" class="muted"></span></h2>
+            <p class="muted">Fiche IMDB associée à chaque release. Une correction manuelle (IMDB ID ou « ignorer », qui garde
+            la fiche Torbox) est conservée et passe avant la reconnaissance automatique dans les catalogues, les streams et les doublons.</p>
+            <label for="filter">Filtrer</label>
+            <input type="text" id="filter" placeholder="Nom de la release ou titre">
+            <table>
+                <thead><tr><th>Release</th><th>Analyse</th><th>Fiche</th><th>Correction</th></tr></thead>
+                <tbody id="matches"><tr><td colspan="4" class="muted">Analyse en cours…</td></tr></tbody>
+            </table>
+            <div id="actionResult"></div>
+        </section>`;
+
+    const script = `
+const STATUS_LABELS = { manual: '✏️ Manuel', ignored: '🚫 Ignoré', auto: '🔎 Auto', none: '○ Aucune' };
+const TYPE_LABELS = { movie: 'Film', series: 'Série' };
+let items = [];
+
+function renderMatch(item) {
+    const match = item.imdbId
+        ? '<a href="https://www.imdb.com/title/' + encodeURIComponent(item.imdbId) + '/" target="_blank" rel="noopener">' + escapeHtml(item.imdbId) + '</a>'
+            + (item.title ? ' ' + escapeHtml(item.title) : '')
+            + (item.score !== null ? ' <span class="muted">(' + Math.round(item.score * 100) + ' %)</span>' : '')
+        : '';
+    const typeOptions = Object.keys(TYPE_LABELS).map(type => '<option value="' + type + '"' + (type === item.parsed.type ? ' selected' : '') + '>' + TYPE_LABELS[type] + '</option>').join('');
+
+    return '<tr data-key="' + escapeHtml(item.key) + '">'
+        + '<td>' + escapeHtml(item.name) + '</td>'
+        + '<td>' + escapeHtml(item.parsed.title) + (item.parsed.year ? ' (' + item.parsed.year + ')' : '') + '<br><span class="muted">' + TYPE_LABELS[item.parsed.type] + '</span></td>'
+        + '<td>' + STATUS_LABELS[item.status] + '<br>' + match + '</td>'
+        + '<td>'
+        + '<input type="text" placeholder="tt1234567" value="' + escapeHtml(item.status === 'manual' ? item.imdbId : '') + '">'
+        + '<select>' + typeOptions + '</select>'
+        + '<button data-action="save">Enregistrer</button> '
+        + (item.status !== 'ignored' ? '<button class="secondary" data-action="ignore">Ignorer</button> ' : '')
+        + (item.status === 'manual' || item.status === 'ignored' ? '<button class="danger" data-action="reset">Réinitialiser</button>' : '')
+        + '</td>'
+        + '</tr>';
+}
+
+function renderMatches() {
+    const filter = document.getElementById('filter').value.trim().toLowerCase();
+    const visible = items.filter(item => (item.name + ' ' + item.parsed.title + ' ' + (item.title || '')).toLowerCase().includes(filter));
+
+    document.getElementById('count').textContent = '(' + items.length + ')';
+    document.getElementById('matches').innerHTML = visible.length === 0
+        ? '<tr><td colspan="4" class="muted">Aucune release</td></tr>'
+        : visible.map(renderMatch).join('');
+}
+
+async function refreshMatches() {
+    try {
+        items = (await api('/api/matches')).items;
+        renderMatches();
+    } catch (error) {
+        document.getElementById('matches').innerHTML = '<tr><td colspan="4">' + escapeHtml(error.message) + '</td></tr>';
+    }
+}
+
+function onReady() {
+    refreshMatches();
+}
+
+document.getElementById('filter').oninput = renderMatches;
+
+document.getElementById('matches').onclick = async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const row = button.closest('tr');
+    const key = row.dataset.key;
+    const result = document.getElementById('actionResult');
+    const path = '/api/matches/' + encodeURIComponent(key);
+
+    button.disabled = true;
+    try {
+        let updated;
+        if (button.dataset.action === 'reset') {
+            updated = await api(path, { method: 'DELETE' });
+        } else {
+            const body = button.dataset.action === 'ignore'
+                ? { ignore: true }
+                : { imdbId: row.querySelector('input').value.trim(), type: row.querySelector('select').value };
+            updated = await api(path, { method: 'PUT', body: JSON.stringify(body) });
+        }
+        items = items.map(item => item.key === key ? updated : item);
+        renderMatches();
+        showMessage(result, '✓ ' + updated.name + ' : ' + STATUS_LABELS[updated.status] + (updated.imdbId ? ' ' + updated.imdbId : ''), true);
+    } catch (error) {
+        showMessage(result, error.message, false);
+        button.disabled = false;
+    }
+};
+`;
+
+    return renderPage('Correspondances', body, script);
+}
+
+module.exports = {
+    escapeHtml,
+    renderPage,
+    renderConfigurePage,
+    renderAddPage,
+    renderLibraryPage,
+    renderDuplicatesPage,
+    renderMatchesPage
+};
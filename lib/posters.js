@@ -0,0 +1,182 @@
+/**
+ * Posters et fonds générés localement (SVG, PNG en option)
+ *
+ * Remplace placehold.co pour les cartes de stats, les téléchargements et les fiches `tb:` :
+ * emoji, valeur principale, barre de progression optionnelle et lignes de détails.
+ * Le PNG nécessite le paquet optionnel @resvg/resvg-js ; sans lui, seul le SVG est disponible.
+ *
+ * @module lib/posters
+ */
+
+/** Dimensions des images : poster portrait (catalogues) et fond paysage (fiches) */
+const POSTER_LAYOUTS = {
+    poster: { width: 300, height: 450 },
+    background: { width: 1280, height: 720 }
+};
+
+/** Nombre maximal de lignes de détails et de caractères par texte */
+const MAX_DETAILS = 3;
+const MAX_TEXT_LENGTH = 40;
+
+const TEXT_FONT = 'Roboto, Helvetica, Arial, sans-serif';
+const EMOJI_FONT = '\'Noto Color Emoji\', \'Apple Color Emoji\', \'Segoe UI Emoji\', sans-serif';
+
+let resvg; // Chargé au premier rendu PNG (undefined : pas encore essayé, null : indisponible)
+
+/**
+ * Échappe un texte pour l'insérer dans du SVG
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Tronque un texte trop long (les URLs de poster viennent de l'extérieur)
+ * @param {*} text
+ * @param {number} [max]
+ * @returns {string}
+ */
+function truncate(text, max = MAX_TEXT_LENGTH) {
+    const value = String(text || '');
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Couleur hexadécimale sans # (ex: '1e3a5f'), ou la valeur par défaut si invalide
+ * @param {string} color
+ * @param {string} fallback
+ * @returns {string}
+ */
+function normalizeColor(color, fallback = '1a1a2e') {
+    const value = String(color || '').replace(/^#/, '');
+    return /^[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback;
+}
+
+/**
+ * Couleur de la barre de progression : vert, puis orange et rouge quand elle se vide
+ * @param {number} ratio - 0..1
+ * @param {boolean} inverted - true si une barre pleine est mauvaise (stockage)
+ * @returns {string}
+ */
+function progressColor(ratio, inverted) {
+    const level = inverted ? 1 - ratio : ratio;
+    if (level > 0.5) return '4caf50';
+    if (level > 0.2) return 'ff9800';
+    return 'f44336';
+}
+
+/**
+ * Contenu d'un poster 300x450 (réutilisé, mis à l'échelle, pour les fonds)
+ * @param {Object} options - Voir renderPosterSvg
+ * @returns {string} Éléments SVG
+ */
+function renderPosterContent({ emoji, value, progress, inverted, details }) {
+    const text = truncate(value);
+    const valueSize = Math.max(18, Math.min(44, Math.floor(480 / Math.max(text.length, 1))));
+    const parts = [];
+
+    if (emoji) {
+        parts.push(`<text x="150" y="165" font-size="96" text-anchor="middle" fill="#ffffff" font-family="${EMOJI_FONT}">${escapeXml(truncate(emoji, 8))}</text>`);
+    }
+    parts.push(`<text x="150" y="255" font-size="${valueSize}" font-weight="bold" text-anchor="middle" fill="#ffffff" font-family="${TEXT_FONT}">${escapeXml(text)}</text>`);
+
+    let y = 300;
+    if (typeof progress === 'number' && !isNaN(progress)) {
+        const ratio = Math.max(0, Math.min(1, progress));
+        parts.push(`<rect x="30" y="${y - 10}" width="240" height="16" rx="8" fill="#ffffff" fill-opacity="0.2"/>`);
+        if (ratio > 0) {
+            parts.push(`<rect x="30" y="${y - 10}" width="${Math.max(16, Math.round(240 * ratio))}" height="16" rx="8" fill="#${progressColor(ratio, inverted)}"/>`);
+        }
+        y += 45;
+    }
+
+    (details || []).slice(0, MAX_DETAILS).forEach(line => {
+        parts.push(`<text x="150" y="${y}" font-size="20" text-anchor="middle" fill="#ffffff" fill-opacity="0.85" font-family="${TEXT_FONT}">${escapeXml(truncate(line, 26))}</text>`);
+        y += 30;
+    });
+
+    return parts.join('\n    ');
+}
+
+/**
+ * Rend un poster ou un fond en SVG
+ * @param {Object} options
+ * @param {string} [options.emoji] - Emoji affiché en grand
+ * @param {string} options.value - Valeur principale (ex: "13 jours", "1080p")
+ * @param {string} [options.color] - Couleur de fond hexadécimale (ex: '1e3a5f')
+ * @param {number} [options.progress] - Barre de progression (0..1), absente si non fournie
+ * @param {boolean} [options.inverted] - Barre pleine = mauvais signe (couleurs inversées)
+ * @param {string[]} [options.details] - Lignes sous la valeur (3 maximum)
+ * @param {string} [options.layout='poster'] - 'poster' (300x450) ou 'background' (1280x720)
+ * @returns {string}
+ */
+function renderPosterSvg(options) {
+    const { width, height } = POSTER_LAYOUTS[options.layout] || POSTER_LAYOUTS.poster;
+    const color = normalizeColor(options.color);
+
+    // Le contenu est dessiné pour 300x450 puis centré et mis à l'échelle
+    const scale = Math.min(width / 300, height / 450);
+    const offsetX = (width - 300 * scale) / 2;
+    const offsetY = (height - 450 * scale) / 2;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0" stop-color="#000000" stop-opacity="0"/>
+      <stop offset="1" stop-color="#000000" stop-opacity="0.45"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="#${color}"/>
+  <rect width="${width}" height="${height}" fill="url(#shade)"/>
+  <g transform="translate(${offsetX.toFixed(1)} ${offsetY.toFixed(1)}) scale(${scale.toFixed(3)})">
+    ${renderPosterContent(options)}
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Indique si le rendu PNG est disponible (@resvg/resvg-js installé)
+ * @returns {boolean}
+ */
+function isPngAvailable() {
+    if (resvg === undefined) {
+        try {
+            resvg = require('@resvg/resvg-js');
+        } catch (error) {
+            resvg = null;
+        }
+    }
+    return resvg !== null;
+}
+
+/**
+ * Rend un poster en PNG (mêmes options que renderPosterSvg)
+ * Les emojis dépendent des polices installées sur le serveur.
+ * @param {Object} options
+ * @returns {Buffer}
+ * @throws {Error} Si @resvg/resvg-js n'est pas installé
+ */
+function renderPosterPng(options) {
+    if (!isPngAvailable()) {
+        throw new Error('Rendu PNG indisponible : installe @resvg/resvg-js');
+    }
+
+    const image = new resvg.Resvg(renderPosterSvg(options), { font: { loadSystemFonts: true } });
+    return image.render().asPng();
+}
+
+module.exports = {
+    POSTER_LAYOUTS,
+    normalizeColor,
+    renderPosterSvg,
+    isPngAvailable,
+    renderPosterPng
+};
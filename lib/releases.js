@@ -0,0 +1,196 @@
+/**
+ * Analyse des noms de releases et de fichiers
+ *
+ * Titre, année et type d'une release (parse-torrent-title, complété pour les animes), et saisons/épisodes
+ * couverts par un nom : packs de saison, multi-saisons, multi-épisodes et numérotation absolue.
+ *
+ * @module lib/releases
+ */
+
+const ptt = require('parse-torrent-title');
+const { parseAnimeRelease } = require('./anime');
+
+/**
+ * Parse le nom d'un torrent pour extraire les infos
+ * @param {string} name - Nom du torrent
+ * @returns {Object} { title, year, season, episode, type }
+ */
+function parseTorrentName(name) {
+    const parsed = ptt.parse(name);
+
+    // Anime ("[Groupe] Titre - 137") : le titre et l'épisode absolu ne sont pas reconnus par ptt
+    const anime = parsed.episode ? null : parseAnimeRelease(name);
+    if (anime) {
+        const hasEpisodes = anime.season || anime.episodes.length > 0 || anime.batch;
+        return {
+            // Sans épisode (film, tag de site), le nom nettoyé des crochets repasse par ptt pour l'année, la qualité...
+            title: hasEpisodes ? anime.title : (ptt.parse(anime.title).title || anime.title),
+            year: parsed.year || null,
+            season: parsed.season || anime.season,
+            episode: anime.episodes[0] || null,
+            quality: parsed.resolution || parsed.quality || null,
+            type: (parsed.season || hasEpisodes) ? 'series' : 'movie'
+        };
+    }
+
+    // Détermine le type
+    const type = (parsed.season || parsed.episode) ? 'series' : 'movie';
+
+    return {
+        title: parsed.title || name,
+        year: parsed.year || null,
+        season: parsed.season || null,
+        episode: parsed.episode || null,
+        quality: parsed.resolution || parsed.quality || null,
+        type
+    };
+}
+
+/** Extensions reconnues comme fichiers vidéo */
+const VIDEO_EXTENSIONS = ['.mkv', '.mp4', '.avi', '.mov', '.wmv', '.webm'];
+
+/**
+ * Indique si un nom de fichier correspond à une vidéo
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isVideoFile(name) {
+    const lower = (name || '').toLowerCase();
+    return VIDEO_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Liste les entiers de `from` à `to` inclus
+ * @param {number} from
+ * @param {number} to
+ * @returns {number[]}
+ */
+function numberRange(from, to) {
+    if (to < from || to - from > 100) return [from];
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+/**
+ * Extrait les saisons et épisodes couverts par un nom de release ou de fichier
+ * Gère les packs (S02, S01-S03, Saisons 1-3), les multi-épisodes (S01E01E02, S01E01-E03, S01E01-03)
+ * et la numérotation absolue des animes ("[Groupe] Titre - 137", sans saison).
+ * @param {string} name
+ * @returns {Object} { seasons: number[], episodes: number[] } - episodes vide = saison(s) complète(s),
+ *   seasons vide avec des épisodes = numérotation absolue
+ */
+function parseEpisodeInfo(name) {
+    const parsed = ptt.parse(name);
+    let seasons = parsed.season ? [parsed.season] : [];
+    let episodes = parsed.episode ? [parsed.episode] : [];
+
+    // Multi-saisons : S01-S03, S01 - S03, S01-03, Saisons 1-3, Saison 1 à 3
+    // ("S2 - 05" sans S après le tiret : épisode absolu d'un anime, pas une plage)
+    const seasonRange = name.match(/S(\d{1,2})(?:-S?|\s?-\s?S)(\d{1,2})(?![\dE])/i)
+        || name.match(/(?:Seasons?|Saisons?)[\s._]?(\d{1,2})[\s._]?(?:-|à|a|to)[\s._]?(\d{1,2})(?!\d)/i);
+    if (seasonRange) {
+        seasons = numberRange(parseInt(seasonRange[1], 10), parseInt(seasonRange[2], 10));
+    }
+
+    // Multi-épisodes : S01E01E02, S01E01-E03 (liste ou plage d'épisodes préfixés par E)
+    const multiEpisode = name.match(/S(\d{1,2})[\s.]?E(\d{1,4})((?:[\s.]?-?[\s.]?E\d{1,4})+)/i);
+    // Plage sans préfixe : S01E01-03
+    const episodeRange = name.match(/S(\d{1,2})[\s.]?E(\d{1,4})\s?-\s?(\d{1,4})(?![\dp])/i);
+
+    // Épisode seul sans saison collée : E05, Ep05, Episode 5 (S01.E05, dossier "Season 2/E05.mkv")
+    const looseEpisode = name.match(/(?:^|[\s._-])E(?:p(?:isode)?)?[\s._]?(\d{1,4})(?![\dp])/i);
+
+    if (multiEpisode) {
+        const first = parseInt(multiEpisode[2], 10);
+        const others = multiEpisode[3].match(/\d{1,4}/g).map(n => parseInt(n, 10));
+        episodes = multiEpisode[3].includes('-') && others.length === 1
+            ? numberRange(first, others[0])
+            : [first, ...others];
+    } else if (episodeRange) {
+        episodes = numberRange(parseInt(episodeRange[2], 10), parseInt(episodeRange[3], 10));
+    } else if (episodes.length === 0 && looseEpisode) {
+        episodes = [parseInt(looseEpisode[1], 10)];
+    }
+
+    if (episodes.length === 0) {
+        const anime = parseAnimeRelease(name);
+        if (anime && anime.episodes.length > 0) {
+            episodes = anime.episodes;
+            if (seasons.length === 0 && anime.season) seasons = [anime.season];
+        }
+    }
+
+    return { seasons, episodes };
+}
+
+/**
+ * Trouve les fichiers d'une release qui contiennent un épisode donné
+ * Chaque fichier est analysé (nom puis dossier), ce qui couvre les packs de saison,
+ * les packs multi-saisons et les fichiers multi-épisodes.
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @param {number} season
+ * @param {number} episode
+ * @returns {Array|null} Fichiers de l'épisode, ou null si la release ne le contient pas
+ *   (tableau vide : release sans liste de fichiers dont le nom correspond à l'épisode)
+ */
+function findEpisodeFiles(torrent, season, episode) {
+    const releaseInfo = parseEpisodeInfo(torrent.name || '');
+
+    if (!torrent.files || torrent.files.length === 0) {
+        const matches = releaseInfo.seasons.includes(season) && releaseInfo.episodes.includes(episode);
+        return matches ? [] : null;
+    }
+
+    const files = torrent.files.filter(file => {
+        if (!isVideoFile(file.name)) return false;
+
+        const info = getFileEpisodeInfo(file, releaseInfo);
+        return info.seasons.includes(season) && info.episodes.includes(episode);
+    });
+
+    return files.length > 0 ? files : null;
+}
+
+/**
+ * Saisons et épisodes d'un fichier d'une release
+ * @param {Object} file - Fichier ({ name })
+ * @param {Object} releaseInfo - parseEpisodeInfo du nom de la release
+ * @returns {Object} { seasons: number[], episodes: number[] }
+ */
+function getFileEpisodeInfo(file, releaseInfo) {
+    const parts = file.name.split('/');
+    const info = parseEpisodeInfo(parts[parts.length - 1]);
+
+    // Saison absente du nom de fichier : on regarde le dossier, puis la release
+    if (info.seasons.length === 0 && parts.length > 1) {
+        info.seasons = parseEpisodeInfo(parts.slice(0, -1).join(' ')).seasons;
+    }
+    if (info.seasons.length === 0 && releaseInfo.seasons.length === 1) {
+        info.seasons = releaseInfo.seasons;
+    }
+
+    return info;
+}
+
+/**
+ * Indique si une release contient des fichiers d'épisodes (SxxEyy, dossier de saison...)
+ * Un pack dont le nom n'a pas de saison ("Kaamelott.Integrale.FRENCH.1080p") est pris pour un film par ptt.
+ * @param {Object} torrent - Élément de la bibliothèque
+ * @returns {boolean}
+ */
+function hasEpisodeFiles(torrent) {
+    const releaseInfo = parseEpisodeInfo(torrent.name || '');
+    return (torrent.files || []).some(file => {
+        if (!isVideoFile(file.name)) return false;
+        const info = getFileEpisodeInfo(file, releaseInfo);
+        return info.seasons.length > 0 && info.episodes.length > 0;
+    });
+}
+
+module.exports = {
+    parseTorrentName,
+    isVideoFile,
+    parseEpisodeInfo,
+    findEpisodeFiles,
+    getFileEpisodeInfo,
+    hasEpisodeFiles
+};
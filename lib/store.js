@@ -0,0 +1,200 @@
+/**
+ * Stockage clé/valeur persistant avec TTL par entrée
+ *
+ * Remplace les Maps en mémoire pour ce qui doit survivre à un redémarrage
+ * (recherches Cinemeta, mappings torrent → IMDB...). Le backend est interchangeable :
+ * `json` (un fichier par store dans DATA_DIR, défaut) ou `memory` (tests, disque en lecture seule).
+ *
+ * @module lib/store
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Dossier des fichiers de données */
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+/** Backend utilisé par défaut */
+const STORE_BACKEND = process.env.STORE_BACKEND || 'json';
+
+/** Délai avant écriture sur disque, pour regrouper les modifications rapprochées */
+const SAVE_DELAY = 2000;
+
+/**
+ * Backends disponibles : chacun fournit load() → objet brut, et save(objet brut)
+ */
+const backends = {
+    memory: () => ({
+        load: () => ({}),
+        save: () => {}
+    }),
+
+    json: (name, dataDir) => {
+        const file = path.join(dataDir, `${name}.json`);
+
+        return {
+            load() {
+                try {
+                    return JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`[Store] Lecture impossible de ${file}:`, error.message);
+                    }
+                    return {};
+                }
+            },
+
+            save(data) {
+                // Écriture atomique : fichier temporaire puis renommage
+                fs.mkdirSync(dataDir, { recursive: true });
+                const tmpFile = `${file}.tmp`;
+                fs.writeFileSync(tmpFile, JSON.stringify(data));
+                fs.renameSync(tmpFile, file);
+            }
+        };
+    }
+};
+
+/** Stores ouverts (pour flushStores) */
+const openStores = new Set();
+
+/**
+ * Ouvre un store persistant
+ * @param {string} name - Nom du store (nom du fichier pour le backend json)
+ * @param {Object} [options]
+ * @param {number} [options.defaultTtl=0] - TTL par défaut en ms (0 = pas d'expiration)
+ * @param {string} [options.backend] - Backend à utiliser (défaut: STORE_BACKEND)
+ * @param {string} [options.dataDir] - Dossier des données (défaut: DATA_DIR)
+ * @returns {Object} Store avec une API proche de Map : get, has, set, delete, keys, clear, flush
+ */
+function createStore(name, options = {}) {
+    const { defaultTtl = 0, backend = STORE_BACKEND, dataDir = DATA_DIR } = options;
+
+    if (!backends[backend]) {
+        throw new Error(`Backend de stockage inconnu: ${backend}`);
+    }
+
+    const storage = backends[backend](name, dataDir);
+    const entries = new Map(); // key → { value, expiresAt }
+    let saveTimer = null;
+    let dirty = false;
+
+    // Chargement initial, en ignorant les entrées expirées
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(storage.load())) {
+        if (entry && (!entry.expiresAt || entry.expiresAt > now)) {
+            entries.set(key, entry);
+        }
+    }
+
+    function isExpired(entry) {
+        return entry.expiresAt && entry.expiresAt <= Date.now();
+    }
+
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        if (!dirty) return;
+
+        const data = {};
+        for (const [key, entry] of entries) {
+            if (!isExpired(entry)) data[key] = entry;
+        }
+
+        try {
+            storage.save(data);
+            dirty = false;
+        } catch (error) {
+            console.error(`[Store] Écriture impossible (${name}):`, error.message);
+        }
+    }
+
+    function scheduleSave() {
+        dirty = true;
+        if (saveTimer) return;
+        saveTimer = setTimeout(flush, SAVE_DELAY);
+        // Ne retient pas le process juste pour une écriture en attente
+        if (saveTimer.unref) saveTimer.unref();
+    }
+
+    const store = {
+        name,
+
+        /**
+         * @param {string} key
+         * @returns {boolean} true si la clé existe et n'a pas expiré (valeur null comprise)
+         */
+        has(key) {
+            const entry = entries.get(key);
+            if (!entry) return false;
+            if (isExpired(entry)) {
+                entries.delete(key);
+                scheduleSave();
+                return false;
+            }
+            return true;
+        },
+
+        /**
+         * @param {string} key
+         * @returns {*} Valeur, ou undefined si absente/expirée
+         */
+        get(key) {
+            return store.has(key) ? entries.get(key).value : undefined;
+        },
+
+        /**
+         * @param {string} key
+         * @param {*} value - Valeur sérialisable en JSON
+         * @param {number} [ttl] - TTL en ms (défaut: defaultTtl, 0 = pas d'expiration)
+         * @returns {Object} Le store
+         */
+        set(key, value, ttl = defaultTtl) {
+            entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+            scheduleSave();
+            return store;
+        },
+
+        /**
+         * @param {string} key
+         * @returns {boolean}
+         */
+        delete(key) {
+            const deleted = entries.delete(key);
+            if (deleted) scheduleSave();
+            return deleted;
+        },
+
+        /**
+         * @returns {string[]} Clés non expirées
+         */
+        keys() {
+            return [...entries.keys()].filter(key => store.has(key));
+        },
+
+        clear() {
+            entries.clear();
+            scheduleSave();
+        },
+
+        flush
+    };
+
+    openStores.add(store);
+    return store;
+}
+
+/**
+ * Écrit immédiatement tous les stores ouverts (à appeler avant l'arrêt du process)
+ */
+function flushStores() {
+    openStores.forEach(store => store.flush());
+}
+
+module.exports = {
+    DATA_DIR,
+    createStore,
+    flushStores
+};
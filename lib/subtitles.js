@@ -0,0 +1,169 @@
+/**
+ * Sous-titres contenus dans les releases
+ *
+ * Reconnaît les fichiers de sous-titres, devine leur langue à partir du nom et les convertit
+ * dans un format lisible par Stremio : SRT ou WebVTT en UTF-8 (les .ass/.ssa deviennent des SRT).
+ *
+ * @module lib/subtitles
+ */
+
+/** Extensions de sous-titres texte reconnues (les .sub/.idx VobSub sont des images, ignorées) */
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+/** Taille maximale d'un fichier de sous-titres relayé (octets) */
+const MAX_SUBTITLE_SIZE = 5 * 1024 * 1024;
+
+/** Mots du nom de fichier → code de langue ISO 639-2 (affiché par Stremio) */
+const LANGUAGE_TOKENS = {
+    fre: ['fr', 'fre', 'fra', 'french', 'francais', 'français', 'vf', 'vff', 'vfq', 'truefrench', 'vostfr'],
+    eng: ['en', 'eng', 'english', 'anglais'],
+    spa: ['es', 'spa', 'esp', 'spanish', 'espanol', 'español'],
+    ger: ['de', 'ger', 'deu', 'german', 'deutsch'],
+    ita: ['it', 'ita', 'italian', 'italiano'],
+    por: ['pt', 'por', 'portuguese', 'portugues', 'português', 'pt-br', 'ptbr', 'brazilian'],
+    dut: ['nl', 'dut', 'nld', 'dutch'],
+    jpn: ['ja', 'jpn', 'jap', 'japanese'],
+    ara: ['ar', 'ara', 'arabic'],
+    rus: ['ru', 'rus', 'russian']
+};
+
+/**
+ * Indique si un nom de fichier correspond à des sous-titres
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSubtitleFile(name) {
+    const lower = (name || '').toLowerCase();
+    return SUBTITLE_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Devine la langue de sous-titres d'après le nom du fichier (ex: "Film.2010.FRENCH.srt", "2_English.srt")
+ * Les mots en fin de nom priment : la langue y est presque toujours indiquée.
+ * @param {string} name - Nom ou chemin du fichier
+ * @returns {Object} { lang, forced, sdh } - lang vaut 'und' si inconnue
+ */
+function guessSubtitleLanguage(name) {
+    const baseName = (name || '').split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
+    const tokens = baseName.split(/[\s._\-[\]()]+/).filter(Boolean);
+
+    let lang = 'und';
+    for (const token of [...tokens].reverse()) {
+        const code = Object.keys(LANGUAGE_TOKENS).find(key => LANGUAGE_TOKENS[key].includes(token.replace(/^\d+_?/, '')));
+        if (code) {
+            lang = code;
+            break;
+        }
+    }
+
+    return {
+        lang,
+        forced: tokens.includes('forced') || tokens.includes('force'),
+        sdh: tokens.includes('sdh') || tokens.includes('cc') || tokens.includes('hi')
+    };
+}
+
+/**
+ * Décode un fichier texte : UTF-8 si valide, sinon Windows-1252/Latin-1 (fréquent pour les vieux SRT)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeSubtitle(buffer) {
+    // BOM UTF-8 retiré avant décodage (certains fichiers en ont un sans être de l'UTF-8 valide)
+    const hasBom = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+    const content = hasBom ? buffer.subarray(3) : buffer;
+
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(content);
+    } catch (error) {
+        text = content.toString('latin1');
+    }
+    return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Convertit un temps ASS (H:MM:SS.cc) en temps SRT (HH:MM:SS,mmm)
+ * @param {string} time
+ * @returns {string}
+ */
+function assTimeToSrt(time) {
+    const match = /^(\d+):(\d{2}):(\d{2})[.,](\d{1,3})$/.exec(time.trim());
+    if (!match) return '00:00:00,000';
+
+    const millis = match[4].padEnd(3, '0');
+    return `${match[1].padStart(2, '0')}:${match[2]}:${match[3]},${millis}`;
+}
+
+/**
+ * Convertit des sous-titres ASS/SSA en SRT (texte seul : styles et positions sont perdus)
+ * @param {string} text - Contenu ASS décodé
+ * @returns {string}
+ */
+function assToSrt(text) {
+    const lines = text.split('\n');
+    let format = null;
+    let inEvents = false;
+    const cues = [];
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (/^\[.+\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            continue;
+        }
+        if (!inEvents) continue;
+
+        if (/^format\s*:/i.test(trimmed)) {
+            format = trimmed.replace(/^format\s*:/i, '').split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!format || !/^dialogue\s*:/i.test(trimmed)) continue;
+
+        // Le texte est le dernier champ et peut contenir des virgules
+        const values = trimmed.replace(/^dialogue\s*:/i, '').split(',');
+        const fields = values.slice(0, format.length - 1).concat(values.slice(format.length - 1).join(','));
+        const get = field => (fields[format.indexOf(field)] || '').trim();
+
+        const content = get('text')
+            .replace(/\{[^}]*\}/g, '') // Balises de style {\i1}, {\pos(...)}
+            .replace(/\\[Nn]/g, '\n')
+            .replace(/\\h/g, ' ')
+            .trim();
+        if (!content) continue;
+
+        cues.push({ start: assTimeToSrt(get('start')), end: assTimeToSrt(get('end')), text: content });
+    }
+
+    return cues
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map((cue, index) => `${index + 1}\n${cue.start} --> ${cue.end}\n${cue.text}\n`)
+        .join('\n');
+}
+
+/**
+ * Convertit un fichier de sous-titres dans un format accepté par Stremio
+ * @param {Buffer} buffer - Contenu brut
+ * @param {string} fileName - Nom du fichier (pour l'extension)
+ * @returns {Object} { format: 'srt'|'vtt', contentType, text }
+ */
+function convertSubtitle(buffer, fileName) {
+    const text = decodeSubtitle(buffer);
+    const lower = fileName.toLowerCase();
+
+    if (lower.endsWith('.vtt')) {
+        return { format: 'vtt', contentType: 'text/vtt; charset=utf-8', text };
+    }
+    if (lower.endsWith('.ass') || lower.endsWith('.ssa')) {
+        return { format: 'srt', contentType: 'application/x-subrip; charset=utf-8', text: assToSrt(text) };
+    }
+    return { format: 'srt', contentType: 'application/x-subrip; charset=utf-8', text };
+}
+
+module.exports = {
+    MAX_SUBTITLE_SIZE,
+    isSubtitleFile,
+    guessSubtitleLanguage,
+    assToSrt,
+    convertSubtitle
+};
@@ -0,0 +1,300 @@
+/**
+ * Client de l'API Torbox
+ *
+ * Point de passage unique pour tous les appels Torbox : timeout, nouvelles tentatives
+ * avec backoff exponentiel (en respectant Retry-After), limite d'appels simultanés
+ * et erreurs typées que les handlers peuvent afficher clairement.
+ *
+ * @module lib/torbox
+ */
+
+const fetch = require('node-fetch');
+const { createTranslator } = require('./i18n');
+
+const TORBOX_API_URL = 'https://api.torbox.app/v1/api';
+
+/** Timeout d'un appel Torbox (ms) */
+const REQUEST_TIMEOUT = parseInt(process.env.TORBOX_TIMEOUT, 10) || 15000;
+
+/** Nombre de nouvelles tentatives sur 429/5xx/erreur réseau */
+const MAX_RETRIES = 3;
+
+/** Attente maximale acceptée avant une nouvelle tentative (au-delà, on abandonne) */
+const MAX_RETRY_WAIT = 15000;
+
+/** Nombre maximal d'appels Torbox simultanés (tous utilisateurs confondus) */
+const MAX_CONCURRENCY = parseInt(process.env.TORBOX_MAX_CONCURRENCY, 10) || 4;
+
+/**
+ * Erreur de base de l'API Torbox
+ */
+class TorboxError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - Code HTTP
+     * @param {string} [details.code] - Code d'erreur Torbox (champ `error` de la réponse)
+     * @param {string} [details.key] - Clé de traduction du message (lib/locales), pour describeTorboxError
+     * @param {Object} [details.params] - Paramètres de la traduction
+     */
+    constructor(message, { status = null, code = null, key = null, params = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.key = key;
+        this.params = params;
+    }
+}
+
+/** Clé API absente, invalide ou expirée (401/403) */
+class TorboxAuthError extends TorboxError {}
+
+/** Trop de requêtes (429) ; `retryAfter` en ms si Torbox l'indique */
+class TorboxRateLimitError extends TorboxError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter || null;
+    }
+}
+
+/** Élément introuvable (404, ou code Torbox équivalent) */
+class TorboxNotFoundError extends TorboxError {}
+
+/** Torbox injoignable : 5xx, timeout, erreur réseau */
+class TorboxUnavailableError extends TorboxError {}
+
+/** Codes d'erreur Torbox (réponse `success: false`) → classe d'erreur */
+const ERROR_CODES = {
+    NO_AUTH: TorboxAuthError,
+    BAD_TOKEN: TorboxAuthError,
+    AUTH_ERROR: TorboxAuthError,
+    ITEM_NOT_FOUND: TorboxNotFoundError,
+    DATABASE_ERROR: TorboxUnavailableError
+};
+
+/** Langue des messages d'erreur dans les logs (describeTorboxError les traduit dans celle de l'utilisateur) */
+const serverTranslator = createTranslator(process.env.LOCALE);
+
+/**
+ * Crée une erreur Torbox dont le message vient des traductions
+ * @param {Function} ErrorClass - TorboxError ou une de ses sous-classes
+ * @param {string} key - Clé de traduction (lib/locales)
+ * @param {Object} [params] - Paramètres de la traduction
+ * @param {Object} [details] - { status, code, retryAfter }
+ * @returns {TorboxError}
+ */
+function createTorboxError(ErrorClass, key, params = {}, details = {}) {
+    return new ErrorClass(serverTranslator(key, params), { ...details, key, params });
+}
+
+// Limiteur de concurrence : file d'attente simple
+let activeRequests = 0;
+const waitingRequests = [];
+
+function acquireSlot() {
+    if (activeRequests < MAX_CONCURRENCY) {
+        activeRequests++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waitingRequests.push(resolve));
+}
+
+function releaseSlot() {
+    const next = waitingRequests.shift();
+    if (next) {
+        next(); // Le slot passe directement à l'appel suivant
+    } else {
+        activeRequests--;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Convertit un header Retry-After (secondes ou date HTTP) en ms
+ * @param {string|null} header
+ * @returns {number|null}
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Délai avant la tentative suivante : backoff exponentiel avec un peu d'aléatoire
+ * @param {number} attempt - Numéro de la tentative qui vient d'échouer (0 = première)
+ * @returns {number}
+ */
+function backoffDelay(attempt) {
+    return Math.min(500 * Math.pow(2, attempt), 8000) + Math.floor(Math.random() * 250);
+}
+
+/**
+ * Construit l'erreur typée correspondant à une réponse HTTP en échec
+ * @param {Object} response - Réponse node-fetch
+ * @param {Object|null} payload - Corps JSON éventuel
+ * @returns {TorboxError}
+ */
+function errorFromResponse(response, payload) {
+    const status = response.status;
+    const code = payload && payload.error ? payload.error : null;
+    const detail = payload && (payload.detail || payload.error);
+    const params = { status, detail: detail ? ` (${detail})` : '' };
+
+    if (status === 401 || status === 403) {
+        return createTorboxError(TorboxAuthError, 'torbox.authRefused', params, { status, code });
+    }
+    if (status === 404) {
+        return createTorboxError(TorboxNotFoundError, 'torbox.notFound', params, { status, code });
+    }
+    if (status === 429) {
+        return createTorboxError(TorboxRateLimitError, 'torbox.rateLimited', params, {
+            status,
+            code,
+            retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+        });
+    }
+    if (status >= 500) {
+        return createTorboxError(TorboxUnavailableError, 'torbox.unavailable', params, { status, code });
+    }
+
+    const ErrorClass = (code && ERROR_CODES[code]) || TorboxError;
+    return createTorboxError(ErrorClass, 'torbox.apiError', params, { status, code });
+}
+
+/**
+ * Appelle l'API Torbox
+ * @param {string} apiKey - Clé API de l'utilisateur
+ * @param {string} path - Chemin de l'endpoint (ex: '/torrents/mylist')
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.query] - Paramètres d'URL (valeurs null/undefined ignorées)
+ * @param {*} [options.body] - Corps de la requête (URLSearchParams, FormData, JSON déjà sérialisé...)
+ * @param {Object} [options.headers] - Headers additionnels
+ * @param {number} [options.retries] - Nombre de nouvelles tentatives (0 pour les appels non idempotents)
+ * @param {number} [options.timeout] - Timeout en ms
+ * @returns {Promise<*>} Champ `data` de la réponse Torbox
+ * @throws {TorboxError}
+ */
+async function torboxRequest(apiKey, path, options = {}) {
+    const {
+        method = 'GET',
+        query = {},
+        body,
+        headers = {},
+        retries = MAX_RETRIES,
+        timeout = REQUEST_TIMEOUT
+    } = options;
+
+    if (!apiKey) {
+        throw createTorboxError(TorboxAuthError, 'torbox.noApiKey');
+    }
+
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) params.append(key, String(value));
+    });
+    const queryString = params.toString();
+    const url = `${TORBOX_API_URL}${path}${queryString ? `?${queryString}` : ''}`;
+
+    for (let attempt = 0; ; attempt++) {
+        let error;
+
+        await acquireSlot();
+        try {
+            const response = await fetch(url, {
+                method,
+                body,
+                timeout,
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    ...headers
+                }
+            });
+
+            let payload = null;
+            try {
+                payload = await response.json();
+            } catch (parseError) {
+                payload = null;
+            }
+
+            if (response.ok && payload && payload.success !== false) {
+                return payload.data;
+            }
+
+            error = response.ok
+                ? createTorboxError(
+                    ERROR_CODES[payload && payload.error] || TorboxError,
+                    payload && (payload.detail || payload.error) ? 'torbox.failed' : 'torbox.invalidResponse',
+                    { detail: payload && (payload.detail || payload.error) },
+                    { status: response.status, code: payload && payload.error }
+                )
+                : errorFromResponse(response, payload);
+        } catch (fetchError) {
+            // Timeout ou erreur réseau
+            error = createTorboxError(TorboxUnavailableError, 'torbox.unreachable', { reason: fetchError.message });
+        } finally {
+            releaseSlot();
+        }
+
+        const retryable = error instanceof TorboxRateLimitError || error instanceof TorboxUnavailableError;
+        if (!retryable || attempt >= retries) {
+            throw error;
+        }
+
+        const wait = error.retryAfter !== null && error.retryAfter !== undefined
+            ? error.retryAfter
+            : backoffDelay(attempt);
+        if (wait > MAX_RETRY_WAIT) {
+            throw error;
+        }
+
+        console.log(`[Torbox] ${error.message} - nouvelle tentative dans ${Math.round(wait / 1000)}s (${attempt + 1}/${retries})`);
+        await sleep(wait);
+    }
+}
+
+/**
+ * Message lisible pour l'utilisateur à partir d'une erreur Torbox
+ * @param {Error} error
+ * @param {Function} [t] - Traducteur (lib/i18n), français par défaut
+ * @returns {string}
+ */
+function describeTorboxError(error, t = createTranslator()) {
+    if (error instanceof TorboxAuthError) {
+        return t('error.auth');
+    }
+    if (error instanceof TorboxRateLimitError) {
+        return error.retryAfter
+            ? t('error.rateLimit', { seconds: Math.ceil(error.retryAfter / 1000) })
+            : t('error.rateLimitSoon');
+    }
+    if (error instanceof TorboxNotFoundError) {
+        return t('error.notFound');
+    }
+    if (error instanceof TorboxUnavailableError) {
+        return t('error.unavailable');
+    }
+    return error.key ? t(error.key, error.params) : error.message;
+}
+
+module.exports = {
+    TORBOX_API_URL,
+    TorboxError,
+    TorboxAuthError,
+    TorboxRateLimitError,
+    TorboxNotFoundError,
+    TorboxUnavailableError,
+    createTorboxError,
+    torboxRequest,
+    describeTorboxError
+};
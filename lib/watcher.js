@@ -0,0 +1,182 @@
+/**
+ * Surveillance en arrière-plan des téléchargements Torbox
+ *
+ * Compare à chaque passage la liste des téléchargements avec la précédente et envoie une
+ * notification quand un téléchargement se termine ou passe en erreur, ou quand l'abonnement
+ * arrive à expiration. L'état est persisté : un redémarrage ne renvoie pas les anciens événements.
+ *
+ * @module lib/watcher
+ */
+
+const { notify } = require('./notifier');
+const { createTranslator } = require('./i18n');
+
+/** Événements disponibles */
+const WATCH_EVENTS = ['finished', 'error', 'expiring'];
+
+/**
+ * Calcule les événements entre deux passages
+ * @param {Object|undefined} previous - État précédent : clé → état ('finished', 'error', 'active')
+ * @param {Array} downloads - [{ key, name, size, state }]
+ * @returns {Array} Événements { type, download }
+ */
+function diffDownloads(previous, downloads) {
+    // Premier passage : on enregistre l'existant sans rien notifier
+    if (!previous) return [];
+
+    const events = [];
+    downloads.forEach(download => {
+        const before = previous[download.key];
+        if (before === download.state) return;
+
+        if (download.state === 'finished') {
+            events.push({ type: 'finished', download });
+        } else if (download.state === 'error') {
+            events.push({ type: 'error', download });
+        }
+    });
+    return events;
+}
+
+/**
+ * Texte d'un événement de téléchargement
+ * @param {Object} event - { type, download }
+ * @param {Function} t - Traducteur (lib/i18n)
+ * @returns {Object} { title, message }
+ */
+function describeDownloadEvent({ type, download }, t) {
+    const params = { name: download.name, size: download.size ? ` (${download.size})` : '' };
+
+    return type === 'finished'
+        ? { title: t('notify.finishedTitle'), message: t('notify.finished', params) }
+        : { title: t('notify.errorTitle'), message: t('notify.error', params) };
+}
+
+/**
+ * Indique si au moins une cible a reçu la notification
+ * @param {Array} results - Résultat de notify
+ * @returns {boolean}
+ */
+function isDelivered(results) {
+    return results.some(result => result.ok);
+}
+
+/**
+ * Crée la surveillance d'un compte
+ * @param {Object} options
+ * @param {string} options.accountId - Identifiant du compte (clé de l'état persistant)
+ * @param {Function} options.fetchStatus - async () => { downloads: [{ key, name, size, state }], partial, expiresAt, daysRemaining }
+ *   - partial : une partie de la liste n'a pas pu être lue (ex: Usenet indisponible), les éléments absents gardent leur état
+ * @param {Object} options.store - Store persistant (lib/store) pour l'état entre deux redémarrages
+ * @param {Array} options.targets - Cibles de notification (lib/notifier parseTargets)
+ * @param {string[]} [options.events] - Événements à notifier (défaut: tous)
+ * @param {number} [options.expiryDays=7] - Prévenir quand l'abonnement expire dans N jours ou moins
+ * @param {number} [options.interval] - Intervalle entre deux passages (ms)
+ * @param {Function} [options.t] - Traducteur des notifications (lib/i18n, défaut: français)
+ * @returns {Object} { check, start, stop }
+ */
+function createWatcher(options) {
+    const {
+        accountId,
+        fetchStatus,
+        store,
+        targets,
+        events = WATCH_EVENTS,
+        expiryDays = 7,
+        interval = 5 * 60 * 1000,
+        t = createTranslator()
+    } = options;
+
+    const downloadsKey = `${accountId}:downloads`;
+    const expiryKey = `${accountId}:expiry-notified`;
+    let timer = null;
+    let running = false;
+
+    /**
+     * Un passage : récupère l'état, notifie les changements, enregistre le nouvel état
+     * @returns {Promise<Array>} Événements envoyés
+     */
+    async function check() {
+        const status = await fetchStatus();
+        const sent = [];
+
+        const previous = store.get(downloadsKey);
+        // Liste incomplète : un élément absent n'a pas disparu, il n'a juste pas été lu ce passage-ci
+        const state = status.partial && previous ? { ...previous } : {};
+        status.downloads.forEach(download => {
+            state[download.key] = download.state;
+        });
+
+        const downloadEvents = diffDownloads(previous, status.downloads)
+            .filter(event => events.includes(event.type));
+        for (const event of downloadEvents) {
+            const payload = { type: event.type, ...describeDownloadEvent(event, t), download: event.download };
+            if (isDelivered(await notify(targets, payload))) {
+                sent.push(payload);
+            } else {
+                // Aucune cible n'a reçu l'événement : on garde l'ancien état pour réessayer au prochain passage
+                state[event.download.key] = previous[event.download.key];
+            }
+        }
+        store.set(downloadsKey, state);
+
+        // Expiration : une seule notification par date d'expiration
+        const expiring = status.expiresAt
+            && status.daysRemaining !== null
+            && status.daysRemaining <= expiryDays
+            && store.get(expiryKey) !== status.expiresAt;
+        if (events.includes('expiring') && expiring) {
+            const payload = {
+                type: 'expiring',
+                title: t('notify.expiringTitle'),
+                message: status.daysRemaining > 0
+                    ? t('notify.expiring', { count: status.daysRemaining })
+                    : t('notify.expired'),
+                expiresAt: status.expiresAt,
+                daysRemaining: status.daysRemaining
+            };
+            if (isDelivered(await notify(targets, payload))) {
+                store.set(expiryKey, status.expiresAt);
+                sent.push(payload);
+            }
+        }
+
+        return sent;
+    }
+
+    async function tick() {
+        if (running) return;
+        running = true;
+        try {
+            const sent = await check();
+            if (sent.length > 0) {
+                console.log(`[Watcher] ${sent.length} notification(s) envoyée(s)`);
+            }
+        } catch (error) {
+            console.error('[Watcher] Erreur:', error.message);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        check,
+
+        start() {
+            if (timer) return;
+            tick();
+            timer = setInterval(tick, interval);
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+module.exports = {
+    WATCH_EVENTS,
+    diffDownloads,
+    createWatcher
+};
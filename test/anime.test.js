@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAnimeRelease, createEpisodeNumbering, matchesKitsuAnime } = require('../lib/anime');
+const { parseTorrentName } = require('../lib/releases');
+
+test('parseAnimeRelease', async t => {
+    const cases = [
+        ['[SubsPlease] One Piece - 1071 (1080p) [ABCD1234].mkv', { title: 'One Piece', season: null, episodes: [1071], batch: false }],
+        ['[Erai-raws] Shingeki no Kyojin - The Final Season - 05v2 [1080p].mkv', { title: 'Shingeki no Kyojin', season: null, episodes: [5], batch: false }],
+        ['[Group] Show S2 - 05 [1080p].mkv', { title: 'Show', season: 2, episodes: [5], batch: false }],
+        ['[Judas] Show 2nd Season - 01-03 (Batch)', { title: 'Show', season: 2, episodes: [1, 2, 3], batch: true }],
+        ['[SubsPlease] Show (Batch)', { title: 'Show', season: null, episodes: [], batch: true }],
+        ['Show - 12 [720p]', { title: 'Show', season: null, episodes: [12], batch: false }],
+        ['Show - 2019 1080p', null],
+        ['Show - 01-12 (Batch)', { title: 'Show', season: null, episodes: Array.from({ length: 12 }, (_, i) => i + 1), batch: true }],
+        ['Rocky - 2 (1979) 1080p', null],
+        ['Rocky - 2 (1979).mkv', null],
+        ['Mission Impossible - 7 MULTI 1080p', null],
+        ['Movie.Name.2010.1080p.mkv', null]
+    ];
+
+    for (const [name, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(parseAnimeRelease(name), expected));
+    }
+});
+
+test('createEpisodeNumbering', async t => {
+    // Saison 1 : 7 épisodes, saison 2 : 13 épisodes, un spécial en saison 0
+    const numbering = createEpisodeNumbering([
+        { season: 0, episode: 1 },
+        ...Array.from({ length: 7 }, (_, i) => ({ season: 1, episode: i + 1 })),
+        ...Array.from({ length: 13 }, (_, i) => ({ season: 2, number: i + 1 }))
+    ]);
+
+    await t.test('saison/épisode → absolu (spéciaux exclus)', () => {
+        assert.equal(numbering.toAbsolute(1, 1), 1);
+        assert.equal(numbering.toAbsolute(2, 3), 10);
+        assert.equal(numbering.toAbsolute(1, 8), null);
+        assert.equal(numbering.toAbsolute(3, 1), null);
+    });
+
+    await t.test('liste vide', () => {
+        const empty = createEpisodeNumbering();
+        assert.equal(empty.toAbsolute(1, 1), null);
+    });
+});
+
+test('matchesKitsuAnime', async t => {
+    const frieren = {
+        imdbId: 'tt22248376',
+        type: 'series',
+        name: 'Frieren: Beyond Journey\'s End',
+        aliases: ['Sousou no Frieren', '葬送のフリーレン'],
+        year: 2023,
+        episodes: {}
+    };
+    const release = name => {
+        const parsed = parseTorrentName(name);
+        return { title: parsed.title, year: parsed.year, type: parsed.type };
+    };
+
+    await t.test('release au titre romaji : reconnue par les alias', () => {
+        assert.equal(matchesKitsuAnime(frieren, release('[SubsPlease] Sousou no Frieren - 05 (1080p) [ABCD1234].mkv'), 0.7), true);
+        assert.equal(matchesKitsuAnime({ ...frieren, aliases: [] }, release('[SubsPlease] Sousou no Frieren - 05 (1080p)'), 0.7), false);
+    });
+
+    await t.test('titre principal', () => {
+        assert.equal(matchesKitsuAnime(frieren, release('[Erai-raws] Frieren Beyond Journeys End - 01 [1080p].mkv'), 0.7), true);
+    });
+
+    await t.test('autre anime', () => {
+        assert.equal(matchesKitsuAnime(frieren, release('[SubsPlease] One Piece - 1071 (1080p)'), 0.7), false);
+    });
+});
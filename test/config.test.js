@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ENV_DEFAULTS, parseUserConfig, decodeConfigSegment, getUserId } = require('../lib/config');
+
+test('parseUserConfig', async t => {
+    await t.test('sans config : valeurs de l\'environnement', () => {
+        assert.deepEqual(parseUserConfig(undefined), { ...ENV_DEFAULTS, configured: false });
+        assert.deepEqual(parseUserConfig(false), { ...ENV_DEFAULTS, configured: false });
+        assert.equal(parseUserConfig({ enableCatalog: 'on' }).configured, false);
+    });
+
+    await t.test('config du formulaire', () => {
+        const settings = parseUserConfig({
+            apiKey: ' abc123 ',
+            enableCatalog: 'on',
+            qualityOrder: '1080p, 2160p,1080p',
+            excludedCodecs: 'av1',
+            minFileSize: '250',
+            maxPerResolution: '-3',
+            sortBy: 'Taille',
+            locale: 'English',
+            matchThreshold: '150'
+        });
+
+        assert.equal(settings.configured, true);
+        assert.equal(settings.apiKey, 'abc123');
+        assert.equal(settings.enableCatalog, true);
+        assert.equal(settings.enableInstant, false);
+        assert.deepEqual(settings.qualityOrder, ['1080P', '2160P']);
+        assert.deepEqual(settings.excludedCodecs, ['AV1']);
+        assert.equal(settings.minFileSize, 250);
+        assert.equal(settings.maxPerResolution, ENV_DEFAULTS.maxPerResolution);
+        assert.equal(settings.sortBy, 'size');
+        assert.equal(settings.locale, 'en');
+        assert.equal(settings.matchThreshold, 100);
+    });
+
+    await t.test('champs vides : valeurs du serveur', () => {
+        const settings = parseUserConfig({ apiKey: 'abc123', qualityOrder: '', sortBy: 'inconnu' });
+        assert.deepEqual(settings.qualityOrder, ENV_DEFAULTS.qualityOrder);
+        assert.equal(settings.minFileSize, ENV_DEFAULTS.minFileSize);
+        assert.equal(settings.sortBy, ENV_DEFAULTS.sortBy);
+    });
+
+    await t.test('taille minimale à 0 : aucun fichier écarté', () => {
+        assert.equal(parseUserConfig({ apiKey: 'abc123', minFileSize: '0' }).minFileSize, 0);
+    });
+
+    await t.test('clé TMDB propre : TMDB en premier', () => {
+        assert.deepEqual(parseUserConfig({ apiKey: 'abc123', tmdbApiKey: 'tmdb' }).metadataProviders, ['tmdb', 'cinemeta']);
+        assert.deepEqual(parseUserConfig({ apiKey: 'abc123', metadataProviders: 'Cinemeta' }).metadataProviders, ['cinemeta']);
+    });
+});
+
+test('decodeConfigSegment', () => {
+    assert.deepEqual(decodeConfigSegment('{"apiKey":"abc"}'), { apiKey: 'abc' });
+    assert.equal(decodeConfigSegment('pas du json'), false);
+});
+
+test('getUserId', () => {
+    const id = getUserId('abc123');
+    assert.match(id, /^[0-9a-f]{16}$/);
+    assert.equal(getUserId('abc123'), id);
+    assert.notEqual(getUserId('abc124'), id);
+    assert.ok(!id.includes('abc123'));
+});
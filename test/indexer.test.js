@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeInfoHash, parseTorznabResults } = require('../lib/indexer');
+
+const HEX_HASH = '6162636465666768696a6b6c6d6e6f7071727374';
+const BASE32_HASH = 'MFRGGZDFMZTWQ2LKNNWG23TPOBYXE43U';
+
+test('normalizeInfoHash', () => {
+    assert.equal(normalizeInfoHash(HEX_HASH.toUpperCase()), HEX_HASH);
+    assert.equal(normalizeInfoHash(BASE32_HASH), HEX_HASH);
+    assert.equal(normalizeInfoHash(BASE32_HASH.toLowerCase()), HEX_HASH);
+    assert.equal(normalizeInfoHash('abc'), null);
+    assert.equal(normalizeInfoHash(null), null);
+});
+
+test('parseTorznabResults ramène les hashes base32 des magnets en hexadécimal', () => {
+    const xml = `<rss><channel>
+        <item>
+            <title>Inception.2010.1080p</title>
+            <link>magnet:?xt=urn:btih:${BASE32_HASH}&amp;dn=Inception</link>
+            <size>2000</size>
+            <torznab:attr name="seeders" value="12"/>
+        </item>
+        <item><title>Sans hash</title><link>https://example.com/file.torrent</link></item>
+    </channel></rss>`;
+
+    const results = parseTorznabResults(xml);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].hash, HEX_HASH);
+    assert.equal(results[0].seeders, 12);
+    assert.equal(results[0].magnet, `magnet:?xt=urn:btih:${BASE32_HASH}&dn=Inception`);
+});
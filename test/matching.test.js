@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTitle, titleSimilarity, scoreCandidate, rankCandidates } = require('../lib/matching');
+
+test('normalizeTitle retire accents, ponctuation et casse', () => {
+    assert.equal(normalizeTitle('Amélie & Co.'), 'amelie and co');
+    assert.equal(normalizeTitle('L\'Âge de glace'), 'lage de glace');
+});
+
+test('titleSimilarity tolère l\'ordre des mots et les fautes', () => {
+    assert.equal(titleSimilarity('Inception', 'inception'), 1);
+    assert.equal(titleSimilarity('Bad Breaking', 'Breaking Bad'), 1);
+    assert.ok(titleSimilarity('Incepton', 'Inception') > 0.85);
+    assert.equal(titleSimilarity('', 'Inception'), 0);
+});
+
+test('scoreCandidate', async t => {
+    const cases = [
+        {
+            name: 'titre, année et type identiques',
+            candidate: { name: 'Inception', year: 2010, type: 'movie' },
+            query: { title: 'Inception', year: 2010, type: 'movie' },
+            expected: { score: 1, year: 1, type: 1 }
+        },
+        {
+            name: 'année à un an près',
+            candidate: { name: 'Inception', year: 2010, type: 'movie' },
+            query: { title: 'Inception', year: 2011, type: 'movie' },
+            expected: { score: 0.95, year: 0.75 }
+        },
+        {
+            name: 'année inconnue',
+            candidate: { name: 'Inception', type: 'movie' },
+            query: { title: 'Inception', year: 2010, type: 'movie' },
+            expected: { score: 0.9, year: 0.5 }
+        },
+        {
+            name: 'mauvais type',
+            candidate: { name: 'Inception', year: 2010, type: 'series' },
+            query: { title: 'Inception', year: 2010, type: 'movie' },
+            expected: { score: 0.9, type: 0 }
+        },
+        {
+            name: 'saison sortie après la première diffusion (releaseInfo "2008-2013")',
+            candidate: { name: 'Breaking Bad', releaseInfo: '2008-2013', type: 'series' },
+            query: { title: 'Breaking Bad', year: 2010, type: 'series' },
+            expected: { score: 0.95, year: 0.75 }
+        },
+        {
+            name: 'titre alternatif du fournisseur',
+            candidate: { name: 'The Godfather', aliases: ['Le Parrain'], year: 1972, type: 'movie' },
+            query: { title: 'Le Parrain', year: 1972, type: 'movie' },
+            expected: { score: 1, title: 1 }
+        },
+        {
+            name: 'titre alternatif de la release ("AKA")',
+            candidate: { name: 'Les Evades', year: 1994, type: 'movie' },
+            query: { title: 'The Shawshank Redemption aka Les Évadés', year: 1994, type: 'movie' },
+            expected: { score: 1, title: 1 }
+        }
+    ];
+
+    for (const { name, candidate, query, expected } of cases) {
+        await t.test(name, () => {
+            const result = scoreCandidate(candidate, query);
+            Object.entries(expected).forEach(([key, value]) => assert.equal(result[key], value, key));
+        });
+    }
+
+    await t.test('homonyme d\'une autre année sous le seuil par défaut', () => {
+        const { score } = scoreCandidate({ name: 'Paris', year: 2008, type: 'movie' }, { title: 'Paris Texas', year: 1984, type: 'movie' });
+        assert.ok(score < 0.7, `score ${score}`);
+    });
+});
+
+test('rankCandidates trie par score, à égalité dans l\'ordre du fournisseur', () => {
+    const ranked = rankCandidates([
+        { name: 'Dune', year: 1984, type: 'movie' },
+        { name: 'Dune', year: 2021, type: 'movie' },
+        { name: 'Dune', year: 2021, type: 'movie', id: 'second' }
+    ], { title: 'Dune', year: 2021, type: 'movie' });
+
+    assert.deepEqual(ranked.map(({ candidate }) => [candidate.year, candidate.id]), [[2021, undefined], [2021, 'second'], [1984, undefined]]);
+    assert.equal(ranked[0].score, 1);
+    assert.deepEqual(Object.keys(ranked[0].details).sort(), ['title', 'type', 'year']);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PROVIDERS, createMetadataChain } = require('../lib/metadata');
+const { createStore } = require('../lib/store');
+
+const INCEPTION = { id: 'tt1375666', type: 'movie', name: 'Inception', year: 2010 };
+
+test('une erreur HTTP du fournisseur n\'est pas mise en cache comme un titre introuvable', async t => {
+    let status = 503;
+    const server = http.createServer((req, res) => {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(status === 200 ? { metas: [INCEPTION] } : { error: 'indisponible' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const searchCache = createStore('metadata-test-search', { backend: 'memory' });
+    const chain = createMetadataChain([PROVIDERS.cinemeta({ url: `http://127.0.0.1:${server.address().port}` })], {
+        searchCache,
+        metaCache: createStore('metadata-test-meta', { backend: 'memory' }),
+        missTtl: 60 * 1000
+    });
+
+    assert.equal(await chain.search('Inception', 'movie', 2010), null);
+    assert.deepEqual(searchCache.keys(), []);
+
+    status = 200;
+    const result = await chain.search('Inception', 'movie', 2010);
+    assert.equal(result.id, 'tt1375666');
+    assert.equal(result.score, 1);
+
+    // 404 : vraie absence, mise en cache
+    status = 404;
+    assert.equal(await chain.search('Inconnu', 'movie'), null);
+    assert.equal(searchCache.get('cinemeta:movie:Inconnu:'), null);
+    assert.ok(searchCache.has('cinemeta:movie:Inconnu:'));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('module');
+const { normalizeColor, renderPosterSvg, isPngAvailable, renderPosterPng } = require('../lib/posters');
+
+/**
+ * Charge une copie neuve de lib/posters (le module garde en mémoire la présence de resvg)
+ * @returns {Object}
+ */
+function loadFreshPosters() {
+    const posterPath = require.resolve('../lib/posters');
+    const cached = require.cache[posterPath];
+    delete require.cache[posterPath];
+    try {
+        return require(posterPath);
+    } finally {
+        require.cache[posterPath] = cached;
+    }
+}
+
+test('normalizeColor', () => {
+    assert.equal(normalizeColor('#1E3A5F'), '1e3a5f');
+    assert.equal(normalizeColor('1e3a5f'), '1e3a5f');
+    assert.equal(normalizeColor('red'), '1a1a2e');
+    assert.equal(normalizeColor('"/><script>', 'ff0000'), 'ff0000');
+    assert.equal(normalizeColor(undefined), '1a1a2e');
+});
+
+test('renderPosterSvg', async t => {
+    await t.test('textes échappés', () => {
+        const svg = renderPosterSvg({ emoji: '<b>', value: 'Tom & Jerry "1"', details: ['l\'<script>'] });
+        assert.match(svg, /&lt;b&gt;/);
+        assert.match(svg, /Tom &amp; Jerry &quot;1&quot;/);
+        assert.match(svg, /l&apos;&lt;script&gt;/);
+        assert.doesNotMatch(svg, /<script>|<b>/);
+    });
+
+    await t.test('couleur invalide remplacée', () => {
+        const svg = renderPosterSvg({ value: 'x', color: '"/><script>' });
+        assert.match(svg, /fill="#1a1a2e"/);
+        assert.doesNotMatch(svg, /<script>/);
+    });
+
+    await t.test('textes longs tronqués, 3 lignes de détails au plus', () => {
+        const svg = renderPosterSvg({ value: 'a'.repeat(100), details: ['1', '2', '3', '4'] });
+        assert.match(svg, new RegExp(`>${'a'.repeat(39)}…<`));
+        assert.match(svg, />3</);
+        assert.doesNotMatch(svg, />4</);
+    });
+
+    await t.test('barre de progression seulement si fournie', () => {
+        assert.doesNotMatch(renderPosterSvg({ value: 'x' }), /<rect x="30"/);
+        assert.match(renderPosterSvg({ value: 'x', progress: 0.9 }), /fill="#4caf50"/);
+        // Stockage presque plein : mauvais signe
+        assert.match(renderPosterSvg({ value: 'x', progress: 0.9, inverted: true }), /fill="#f44336"/);
+    });
+
+    await t.test('fond paysage', () => {
+        assert.match(renderPosterSvg({ value: 'x', layout: 'background' }), /width="1280" height="720"/);
+        assert.match(renderPosterSvg({ value: 'x', layout: 'inconnu' }), /width="300" height="450"/);
+    });
+});
+
+test('sans @resvg/resvg-js : PNG indisponible', t => {
+    const load = Module._load;
+    t.mock.method(Module, '_load', function (request, ...args) {
+        if (request === '@resvg/resvg-js') {
+            throw Object.assign(new Error(`Cannot find module '${request}'`), { code: 'MODULE_NOT_FOUND' });
+        }
+        return load.call(this, request, ...args);
+    });
+
+    const posters = loadFreshPosters();
+    assert.equal(posters.isPngAvailable(), false);
+    assert.throws(() => posters.renderPosterPng({ value: 'x' }), /Rendu PNG indisponible/);
+    // Le SVG reste disponible
+    assert.match(posters.renderPosterSvg({ value: 'x' }), /^<svg/);
+});
+
+test('renderPosterPng', { skip: !isPngAvailable() && '@resvg/resvg-js non installé' }, () => {
+    const png = renderPosterPng({ emoji: '📊', value: '42', layout: 'background' });
+    assert.deepEqual([...png.subarray(1, 4)], [...Buffer.from('PNG')]);
+    assert.equal(png.readUInt32BE(16), 1280);
+    assert.equal(png.readUInt32BE(20), 720);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTorrentName, parseEpisodeInfo, findEpisodeFiles, hasEpisodeFiles } = require('../lib/releases');
+
+test('parseEpisodeInfo', async t => {
+    const cases = [
+        ['Show.S02E05.1080p.mkv', { seasons: [2], episodes: [5] }],
+        ['Show.S02.1080p', { seasons: [2], episodes: [] }],
+        ['Show.S01-S03.1080p', { seasons: [1, 2, 3], episodes: [] }],
+        ['Show S01 - S03 1080p', { seasons: [1, 2, 3], episodes: [] }],
+        ['Show.S01-03.1080p', { seasons: [1, 2, 3], episodes: [] }],
+        ['Show.Saison.1.a.3', { seasons: [1, 2, 3], episodes: [] }],
+        ['Show S01E01E02', { seasons: [1], episodes: [1, 2] }],
+        ['Show.S01E01-E03', { seasons: [1], episodes: [1, 2, 3] }],
+        ['Show.S01E01-03.1080p', { seasons: [1], episodes: [1, 2, 3] }],
+        ['E05.mkv', { seasons: [], episodes: [5] }],
+        ['[SubsPlease] Show - 10 (1080p).mkv', { seasons: [], episodes: [10] }],
+        ['[Group] Show S2 - 05 [1080p].mkv', { seasons: [2], episodes: [5] }],
+        ['Show - 05 [1080p].mkv', { seasons: [], episodes: [5] }],
+        ['Rocky - 2 (1979) 1080p', { seasons: [], episodes: [] }],
+        ['Mission Impossible - 7 MULTI 1080p', { seasons: [], episodes: [] }]
+    ];
+
+    for (const [name, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(parseEpisodeInfo(name), expected));
+    }
+});
+
+test('parseTorrentName', async t => {
+    const cases = [
+        ['Inception.2010.1080p.BluRay.x264', { title: 'Inception', year: 2010, type: 'movie' }],
+        ['Breaking.Bad.S02E03.720p', { title: 'Breaking Bad', season: 2, episode: 3, type: 'series' }],
+        ['[YTS.MX] - Inception (2010) 1080p', { title: 'Inception', year: 2010, type: 'movie' }],
+        ['[SubsPlease] Show - 10 (1080p).mkv', { title: 'Show', season: null, episode: 10, type: 'series' }],
+        ['[Group] Show S2 - 05 [1080p].mkv', { title: 'Show', season: 2, episode: 5, type: 'series' }],
+        // Sans tag de groupe, " - N" suivi d'une année ou de texte est un numéro de film
+        ['Rocky - 2 (1979) 1080p', { year: 1979, episode: null, type: 'movie' }],
+        ['Rocky - 2 (1979).mkv', { year: 1979, episode: null, type: 'movie' }],
+        ['Mission Impossible - 7 MULTI 1080p', { episode: null, type: 'movie' }]
+    ];
+
+    for (const [name, expected] of cases) {
+        await t.test(name, () => {
+            const parsed = parseTorrentName(name);
+            Object.entries(expected).forEach(([key, value]) => assert.equal(parsed[key], value, key));
+        });
+    }
+});
+
+test('findEpisodeFiles', async t => {
+    const pack = {
+        name: 'Show.S01-S02.1080p',
+        files: [
+            { id: 0, name: 'Show.S01-S02/Season 1/Show.S01E01.mkv' },
+            { id: 1, name: 'Show.S01-S02/Season 2/E03.mkv' },
+            { id: 2, name: 'Show.S01-S02/Season 2/E03.srt' }
+        ]
+    };
+
+    await t.test('fichier rangé par son dossier de saison', () => {
+        assert.deepEqual(findEpisodeFiles(pack, 2, 3).map(file => file.id), [1]);
+        assert.deepEqual(findEpisodeFiles(pack, 1, 1).map(file => file.id), [0]);
+    });
+
+    await t.test('épisode absent', () => assert.equal(findEpisodeFiles(pack, 1, 2), null));
+
+    await t.test('release sans liste de fichiers', () => {
+        assert.deepEqual(findEpisodeFiles({ name: 'Show.S01E02.mkv' }, 1, 2), []);
+        assert.equal(findEpisodeFiles({ name: 'Show.S01E02.mkv' }, 1, 3), null);
+    });
+});
+
+test('hasEpisodeFiles', async t => {
+    await t.test('pack sans saison dans son nom', () => {
+        const pack = {
+            name: 'Kaamelott.Integrale.FRENCH.1080p',
+            files: [
+                { id: 0, name: 'Kaamelott.Integrale.FRENCH.1080p/Livre I/Kaamelott.S01E01.mkv' },
+                { id: 1, name: 'Kaamelott.Integrale.FRENCH.1080p/Livre I/Kaamelott.S01E01.srt' }
+            ]
+        };
+        assert.equal(parseTorrentName(pack.name).type, 'movie');
+        assert.equal(hasEpisodeFiles(pack), true);
+    });
+
+    await t.test('film', () => {
+        const movie = { name: 'Inception.2010.1080p.BluRay.x264', files: [{ id: 0, name: 'Inception.2010.1080p.BluRay.x264.mkv' }] };
+        assert.equal(hasEpisodeFiles(movie), false);
+        assert.equal(hasEpisodeFiles({ name: 'Inception.2010.1080p.BluRay.x264' }), false);
+    });
+});
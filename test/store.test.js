@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+const HOUR = 60 * 60 * 1000;
+
+test('expiration des entrées', t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    const store = createStore('store-test-ttl', { backend: 'memory', defaultTtl: HOUR });
+    store.set('trouvé', { id: 'tt1375666' });
+    store.set('introuvable', null, 60 * 1000); // Résultat négatif : TTL plus court
+    store.set('permanent', 1, 0);
+
+    assert.ok(store.has('introuvable'));
+    assert.equal(store.get('introuvable'), null);
+
+    now += 2 * 60 * 1000;
+    assert.equal(store.has('introuvable'), false);
+    assert.equal(store.get('introuvable'), undefined);
+    assert.deepEqual(store.get('trouvé'), { id: 'tt1375666' });
+
+    now += HOUR;
+    assert.equal(store.has('trouvé'), false);
+    assert.deepEqual(store.keys(), ['permanent']);
+});
+
+test('backend json : écriture groupée, atomique et relue au démarrage', t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'error', () => {});
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const file = path.join(dataDir, 'mappings.json');
+
+    const store = createStore('mappings', { dataDir, backend: 'json' });
+    store.set('a', 'tt0000001');
+    store.set('b', 'tt0000002', 1000);
+    store.set('c', 'tt0000003');
+    store.delete('c');
+
+    // Rien n'est écrit avant le délai de regroupement
+    assert.equal(fs.existsSync(file), false);
+
+    now += 2000; // "b" a expiré : il n'est pas écrit
+    store.flush();
+    assert.deepEqual(fs.readdirSync(dataDir), ['mappings.json']); // Pas de fichier temporaire restant
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(Object.keys(saved), ['a']);
+    assert.equal(saved.a.value, 'tt0000001');
+
+    // Écriture en échec (fichier temporaire impossible à créer) : l'ancien fichier reste intact
+    fs.mkdirSync(`${file}.tmp`);
+    store.set('d', 'tt0000004');
+    store.flush();
+    assert.equal(console.error.mock.callCount(), 1);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['a']);
+
+    // Les modifications restent à écrire au flush suivant
+    fs.rmdirSync(`${file}.tmp`);
+    store.flush();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['a', 'd']);
+
+    const reopened = createStore('mappings', { dataDir, backend: 'json' });
+    assert.equal(reopened.get('a'), 'tt0000001');
+    assert.equal(reopened.get('d'), 'tt0000004');
+    assert.equal(reopened.has('b'), false);
+});
+
+test('backend inconnu', () => {
+    assert.throws(() => createStore('store-test-unknown', { backend: 'redis' }), /Backend de stockage inconnu/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSubtitleFile, guessSubtitleLanguage, assToSrt, convertSubtitle } = require('../lib/subtitles');
+
+const ASS = [
+    '[Script Info]',
+    'Title: Test',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize',
+    'Style: Default,Arial,20',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:05.50,0:00:07.00,Default,,0,0,0,,Deuxième, avec une virgule',
+    'Dialogue: 0,0:00:01.00,0:00:03.25,Default,,0,0,0,,{\\i1}Première{\\i0}\\Nligne\\hsuite',
+    'Dialogue: 0,0:00:08.00,0:00:09.00,Default,,0,0,0,,{\\pos(10,10)}',
+    'Comment: 0,0:00:10.00,0:00:11.00,Default,,0,0,0,,Commentaire'
+].join('\n');
+
+test('isSubtitleFile', () => {
+    assert.equal(isSubtitleFile('Film/Subs/2_English.SRT'), true);
+    assert.equal(isSubtitleFile('Film.ass'), true);
+    assert.equal(isSubtitleFile('Film.idx'), false);
+    assert.equal(isSubtitleFile(undefined), false);
+});
+
+test('guessSubtitleLanguage', async t => {
+    const cases = [
+        ['Film.2010.FRENCH.srt', { lang: 'fre', forced: false, sdh: false }],
+        ['Subs/2_English.srt', { lang: 'eng', forced: false, sdh: false }],
+        ['Film.2010.MULTI.en.forced.srt', { lang: 'eng', forced: true, sdh: false }],
+        // La langue en fin de nom prime sur celle de la release
+        ['Film.2010.FRENCH.eng.SDH.srt', { lang: 'eng', forced: false, sdh: true }],
+        ['Film.2010.1080p.srt', { lang: 'und', forced: false, sdh: false }]
+    ];
+
+    for (const [name, expected] of cases) {
+        await t.test(name, () => assert.deepEqual(guessSubtitleLanguage(name), expected));
+    }
+});
+
+test('assToSrt', async t => {
+    await t.test('dialogues triés, balises retirées, virgules du texte gardées', () => {
+        assert.equal(assToSrt(ASS), [
+            '1',
+            '00:00:01,000 --> 00:00:03,250',
+            'Première',
+            'ligne suite',
+            '',
+            '2',
+            '00:00:05,500 --> 00:00:07,000',
+            'Deuxième, avec une virgule',
+            ''
+        ].join('\n'));
+    });
+
+    await t.test('sans section [Events] : vide', () => {
+        assert.equal(assToSrt('[Script Info]\nDialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Texte'), '');
+    });
+});
+
+test('convertSubtitle', async t => {
+    await t.test('.ass converti en SRT', () => {
+        const result = convertSubtitle(Buffer.from(ASS.replace(/\n/g, '\r\n')), 'Film.ASS');
+        assert.equal(result.format, 'srt');
+        assert.equal(result.contentType, 'application/x-subrip; charset=utf-8');
+        assert.match(result.text, /^1\n00:00:01,000 --> 00:00:03,250\nPremière\n/);
+    });
+
+    await t.test('.vtt gardé tel quel', () => {
+        const result = convertSubtitle(Buffer.from('WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nSalut'), 'film.vtt');
+        assert.deepEqual(result, {
+            format: 'vtt',
+            contentType: 'text/vtt; charset=utf-8',
+            text: 'WEBVTT\n\n00:01.000 --> 00:02.000\nSalut'
+        });
+    });
+
+    await t.test('UTF-8 avec BOM', () => {
+        const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nÉté')]);
+        assert.equal(convertSubtitle(buffer, 'film.srt').text, '1\n00:00:01,000 --> 00:00:02,000\nÉté');
+    });
+
+    await t.test('UTF-8 invalide : relu en Latin-1', () => {
+        const buffer = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nÉté à Noël', 'latin1');
+        assert.equal(convertSubtitle(buffer, 'film.srt').text, '1\n00:00:01,000 --> 00:00:02,000\nÉté à Noël');
+    });
+});
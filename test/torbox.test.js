@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('module');
+
+// node-fetch remplacé avant le chargement de lib/torbox : chaque test fournit ses réponses
+const fetchPath = require.resolve('node-fetch');
+const fetchModule = new Module(fetchPath);
+fetchModule.loaded = true;
+require.cache[fetchPath] = fetchModule;
+
+const calls = [];
+let respond = null;
+fetchModule.exports = (url, options) => {
+    calls.push({ url, options });
+    return respond(calls.length, url, options);
+};
+
+const {
+    TorboxError,
+    TorboxAuthError,
+    TorboxRateLimitError,
+    TorboxNotFoundError,
+    TorboxUnavailableError,
+    torboxRequest,
+    describeTorboxError
+} = require('../lib/torbox');
+const { createTranslator } = require('../lib/i18n');
+
+/**
+ * Réponse node-fetch simulée
+ * @param {number} status
+ * @param {*} body - Corps JSON (undefined : corps illisible)
+ * @param {Object} [headers]
+ * @returns {Object}
+ */
+function jsonResponse(status, body, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => headers[name.toLowerCase()] || null },
+        json: async () => {
+            if (body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+            return body;
+        }
+    };
+}
+
+/**
+ * Prépare un test : réponses de fetch, attentes entre tentatives enregistrées sans être subies
+ * @param {Object} t - Contexte node:test
+ * @param {Function} handler - (numéro d'appel, url, options) => réponse
+ * @returns {number[]} Attentes demandées (ms)
+ */
+function setup(t, handler) {
+    calls.length = 0;
+    respond = handler;
+
+    const waits = [];
+    const realSetTimeout = setTimeout;
+    t.mock.method(global, 'setTimeout', (fn, ms) => {
+        waits.push(ms);
+        return realSetTimeout(fn, 0);
+    });
+    t.mock.method(Math, 'random', () => 0);
+    t.mock.method(console, 'log', () => {});
+    return waits;
+}
+
+test('nouvelles tentatives avec backoff exponentiel sur 5xx', async t => {
+    const waits = setup(t, attempt => jsonResponse(attempt < 3 ? 503 : 200, { success: true, data: { ok: attempt } }));
+
+    const data = await torboxRequest('key', '/torrents/mylist', { query: { id: 5, bypass_cache: true, offset: null } });
+    assert.deepEqual(data, { ok: 3 });
+    assert.deepEqual(waits, [500, 1000]);
+    assert.equal(calls[0].url, 'https://api.torbox.app/v1/api/torrents/mylist?id=5&bypass_cache=true');
+    assert.equal(calls[0].options.headers.Authorization, 'Bearer key');
+});
+
+test('abandon après MAX_RETRIES, ou sans nouvelle tentative si retries = 0', async t => {
+    setup(t, () => jsonResponse(502, undefined));
+    await assert.rejects(torboxRequest('key', '/torrents/mylist'), TorboxUnavailableError);
+    assert.equal(calls.length, 4);
+
+    setup(t, () => jsonResponse(502, undefined));
+    await assert.rejects(torboxRequest('key', '/torrents/controltorrent', { method: 'POST', retries: 0 }), TorboxUnavailableError);
+    assert.equal(calls.length, 1);
+});
+
+test('erreur réseau : Torbox injoignable, nouvelle tentative', async t => {
+    const waits = setup(t, attempt => (attempt === 1
+        ? Promise.reject(new Error('socket hang up'))
+        : jsonResponse(200, { success: true, data: [] })));
+
+    assert.deepEqual(await torboxRequest('key', '/torrents/mylist'), []);
+    assert.deepEqual(waits, [500]);
+});
+
+test('Retry-After respecté, et abandon s\'il dépasse MAX_RETRY_WAIT', async t => {
+    let waits = setup(t, attempt => (attempt === 1
+        ? jsonResponse(429, { success: false, error: 'RATE_LIMITED' }, { 'retry-after': '2' })
+        : jsonResponse(200, { success: true, data: 'ok' })));
+    assert.equal(await torboxRequest('key', '/user/me'), 'ok');
+    assert.deepEqual(waits, [2000]);
+
+    waits = setup(t, () => jsonResponse(429, {}, { 'retry-after': '60' }));
+    await assert.rejects(torboxRequest('key', '/user/me'), error => {
+        assert.ok(error instanceof TorboxRateLimitError);
+        assert.equal(error.retryAfter, 60000);
+        return true;
+    });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(waits, []);
+});
+
+test('erreurs typées, sans nouvelle tentative', async t => {
+    const cases = [
+        [jsonResponse(401, { success: false, error: 'BAD_TOKEN' }), TorboxAuthError, 401],
+        [jsonResponse(403, undefined), TorboxAuthError, 403],
+        [jsonResponse(404, {}), TorboxNotFoundError, 404],
+        [jsonResponse(400, { success: false, error: 'NO_AUTH' }), TorboxAuthError, 400],
+        [jsonResponse(400, { success: false, error: 'BAD_REQUEST' }), TorboxError, 400],
+        [jsonResponse(200, { success: false, error: 'ITEM_NOT_FOUND' }), TorboxNotFoundError, 200]
+    ];
+
+    for (const [response, ErrorClass, status] of cases) {
+        setup(t, () => response);
+        await assert.rejects(torboxRequest('key', '/torrents/mylist'), error => {
+            assert.equal(error.constructor, ErrorClass);
+            assert.equal(error.status, status);
+            return true;
+        });
+        assert.equal(calls.length, 1);
+    }
+});
+
+test('sans clé API : aucun appel', async t => {
+    setup(t, () => jsonResponse(200, { success: true, data: null }));
+    await assert.rejects(torboxRequest('', '/user/me'), TorboxAuthError);
+    assert.equal(calls.length, 0);
+});
+
+test('message d\'erreur traduit dans la langue de l\'utilisateur', async t => {
+    setup(t, () => jsonResponse(400, { success: false, error: 'BAD_REQUEST', detail: 'Hash invalide' }));
+    await assert.rejects(torboxRequest('key', '/torrents/createtorrent'), error => {
+        assert.equal(error.key, 'torbox.apiError');
+        assert.equal(describeTorboxError(error, createTranslator('fr')), 'Erreur API Torbox: 400 (Hash invalide)');
+        assert.equal(describeTorboxError(error, createTranslator('en')), 'Torbox API error: 400 (Hash invalide)');
+        return true;
+    });
+});
+
+test('au plus 4 appels simultanés', async t => {
+    const pending = [];
+    setup(t, () => new Promise(resolve => pending.push(resolve)));
+
+    const requests = Array.from({ length: 10 }, (_, i) => torboxRequest('key', '/torrents/mylist', { query: { id: i } }));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(calls.length, 4);
+
+    // Chaque réponse libère sa place pour l'appel suivant
+    while (pending.length > 0) {
+        pending.shift()(jsonResponse(200, { success: true, data: calls.length }));
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(pending.length <= 4);
+    }
+
+    assert.equal((await Promise.all(requests)).length, 10);
+    assert.equal(calls.length, 10);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { diffDownloads, createWatcher } = require('../lib/watcher');
+const { createStore } = require('../lib/store');
+const { createTranslator } = require('../lib/i18n');
+
+const torrent = { key: '1', name: 'Torrent', state: 'finished' };
+const usenet = { key: 'u1', name: 'Usenet', state: 'finished' };
+
+test('diffDownloads', async t => {
+    await t.test('premier passage : rien à notifier', () => {
+        assert.deepEqual(diffDownloads(undefined, [torrent]), []);
+    });
+
+    await t.test('passage terminé ou en erreur', () => {
+        const events = diffDownloads({ 1: 'active', u1: 'active' }, [torrent, { ...usenet, state: 'error' }]);
+        assert.deepEqual(events.map(event => `${event.type}:${event.download.key}`), ['finished:1', 'error:u1']);
+    });
+
+    await t.test('élément déjà connu dans le même état', () => {
+        assert.deepEqual(diffDownloads({ 1: 'finished' }, [torrent]), []);
+    });
+});
+
+test('check garde l\'état des éléments absents d\'une liste incomplète', async t => {
+    // Cible webhook locale : chaque notification reçue est enregistrée
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const polls = [
+        { downloads: [torrent, usenet], partial: false }, // État initial
+        { downloads: [torrent], partial: true }, // Liste Usenet en erreur
+        { downloads: [torrent, usenet], partial: false } // Liste Usenet revenue
+    ];
+    const watcher = createWatcher({
+        accountId: 'test',
+        fetchStatus: async () => ({ expiresAt: null, daysRemaining: null, ...polls.shift() }),
+        store: createStore('watcher-test', { backend: 'memory' }),
+        targets: [{ format: 'webhook', url: `http://127.0.0.1:${server.address().port}/` }],
+        events: ['finished', 'error']
+    });
+
+    assert.deepEqual(await watcher.check(), []);
+    assert.deepEqual(await watcher.check(), []);
+    assert.deepEqual(await watcher.check(), []);
+    assert.deepEqual(received, []);
+});
+
+test('check oublie les éléments absents d\'une liste complète', async () => {
+    const store = createStore('watcher-test-complete', { backend: 'memory' });
+    const polls = [
+        { downloads: [torrent, usenet], partial: false },
+        { downloads: [torrent], partial: false } // Usenet supprimé
+    ];
+    const watcher = createWatcher({
+        accountId: 'test',
+        fetchStatus: async () => ({ expiresAt: null, daysRemaining: null, ...polls.shift() }),
+        store,
+        targets: [],
+        events: ['finished', 'error']
+    });
+
+    await watcher.check();
+    await watcher.check();
+    assert.deepEqual(store.get('test:downloads'), { 1: 'finished' });
+});
+
+test('check rédige les notifications dans la langue du traducteur', async t => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const polls = [
+        { downloads: [{ ...torrent, state: 'active' }], expiresAt: null, daysRemaining: null },
+        { downloads: [{ ...torrent, size: '1 GB' }], expiresAt: '2026-01-02', daysRemaining: 1 }
+    ];
+    const watcher = createWatcher({
+        accountId: 'test',
+        fetchStatus: async () => ({ partial: false, ...polls.shift() }),
+        store: createStore('watcher-test-locale', { backend: 'memory' }),
+        targets: [{ format: 'webhook', url: `http://127.0.0.1:${server.address().port}/` }],
+        t: createTranslator('en')
+    });
+
+    await watcher.check();
+    await watcher.check();
+    assert.deepEqual(received.map(event => [event.title, event.message]), [
+        ['✅ Download finished', 'Torrent (1 GB) is ready on Torbox.'],
+        ['⚠️ Torbox subscription expiring soon', 'Your Torbox subscription expires in 1 day.']
+    ]);
+});